@@ -1,232 +1,2386 @@
-const RATE_LIMIT = 8; // Max requests per minute
-const TIME_WINDOW = 60 * 1000; // 1 minute in milliseconds
-let requestTimestamps = []; // Tracks timestamps of requests
+const DEFAULT_RATE_LIMIT_SETTINGS = {
+    rateLimitPerMinute: 8, // Translation requests allowed per minute and endpoint
+    rateLimitBurst: 8 // Requests that may be sent back to back before the per-minute rate applies
+};
+const DEFAULT_REQUEST_SETTINGS = {
+    requestTimeoutSeconds: 15, // Time before a translation request is abandoned
+    maxRetries: 2 // Extra attempts on the same endpoint after a transient failure
+};
+const RETRY_BASE_DELAY = 500; // Delay before the first retry in milliseconds, doubled for every further retry
+const RETRYABLE_ERROR_TYPES = ['network', 'timeout', 'server']; // Failures worth retrying on the same endpoint
+const SENTENCE_BOUNDARY = /(?<=[。！？])|(?<=[.!?…]["'”’)\]]*\s+)/; // Splits after sentence-ending punctuation
+const WORD_BOUNDARY = /(?<=\s)/; // Splits after whitespace
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const FILE_REQUEST_TIMEOUT = 5 * 60 * 1000; // Documents take longer to translate than selections
+const RATE_LIMIT_STORAGE_KEY = 'rateLimitState'; // chrome.storage.session key holding bucket levels
+const RATE_LIMIT_SUBSCRIBERS_KEY = 'rateLimitSubscribers'; // chrome.storage.session key holding subscribed tabs
+let rateLimitState = null; // Bucket levels per endpoint URL, restored from chrome.storage.session after a restart
+const rateLimitQueues = {}; // Requests waiting for a token, per endpoint URL (only alive while the worker is)
+let rateLimitUpdateTimerId = null; // Timer announcing the next token to subscribed tabs
 
 /**
- * Checks if a new request can be made within the rate limit.
- * @returns {Object} - Object containing isAllowed boolean and optional waitTime in seconds.
+ * Reads the rate limit settings saved from the settings popup, falling back to the defaults.
+ * @returns {Promise<Object>} - The rate limit settings.
  */
-function canMakeRequest() {
+async function getRateLimitSettings() {
+    const result = await chrome.storage.local.get(Object.keys(DEFAULT_RATE_LIMIT_SETTINGS));
+    return {
+        rateLimitPerMinute: Number(result.rateLimitPerMinute) || DEFAULT_RATE_LIMIT_SETTINGS.rateLimitPerMinute,
+        rateLimitBurst: Number(result.rateLimitBurst) || DEFAULT_RATE_LIMIT_SETTINGS.rateLimitBurst
+    };
+}
+
+/**
+ * Loads the bucket levels from chrome.storage.session once per worker lifetime, so the quota survives
+ * the service worker being suspended and restarted.
+ * @returns {Promise<Object>} - Object containing the buckets map and the last used endpoint.
+ */
+async function loadRateLimitState() {
+    if (!rateLimitState) {
+        const result = await chrome.storage.session.get([RATE_LIMIT_STORAGE_KEY]);
+        rateLimitState = result[RATE_LIMIT_STORAGE_KEY] || { buckets: {}, lastUsedEndpoint: null };
+    }
+    return rateLimitState;
+}
+
+/**
+ * Writes the bucket levels back to chrome.storage.session.
+ * @returns {Promise<void>}
+ */
+async function persistRateLimitState() {
+    await chrome.storage.session.set({ [RATE_LIMIT_STORAGE_KEY]: rateLimitState });
+}
+
+/**
+ * Returns the token bucket of an endpoint, creating it full and applying the current limits.
+ * An endpoint saved with its own requests-per-minute value overrides the global rate.
+ * @param {Object} endpoint - The endpoint ({ url, key, rateLimit }).
+ * @param {Object} settings - The rate limit settings.
+ * @returns {Promise<Object>} - The bucket ({ tokens, lastRefill, perMinute, capacity }).
+ */
+async function getBucket(endpoint, settings) {
+    await loadRateLimitState();
+    const perMinute = Number(endpoint.rateLimit) || settings.rateLimitPerMinute;
+    const capacity = Number(endpoint.rateLimit) ? Math.max(1, Math.min(perMinute, settings.rateLimitBurst)) : settings.rateLimitBurst;
+    if (!rateLimitState.buckets[endpoint.url]) {
+        rateLimitState.buckets[endpoint.url] = { tokens: capacity, lastRefill: Date.now() };
+    }
+    const bucket = rateLimitState.buckets[endpoint.url];
+    bucket.perMinute = perMinute;
+    bucket.capacity = capacity;
+    refillBucket(bucket);
+    return bucket;
+}
+
+/**
+ * Returns the queue of requests waiting for an endpoint's bucket.
+ * @param {string} url - The endpoint URL.
+ * @returns {Object} - The queue ({ entries, timerId }).
+ */
+function getQueue(url) {
+    if (!rateLimitQueues[url]) {
+        rateLimitQueues[url] = { entries: [], timerId: null };
+    }
+    return rateLimitQueues[url];
+}
+
+/**
+ * Adds the tokens earned since the last refill, up to the bucket capacity.
+ * @param {Object} bucket - The bucket to refill.
+ */
+function refillBucket(bucket) {
     const now = Date.now();
-    // Remove timestamps older than the time window
-    requestTimestamps = requestTimestamps.filter(ts => now - ts < TIME_WINDOW);
-    // Check if we can make a new request
-    if (requestTimestamps.length < RATE_LIMIT) {
-        requestTimestamps.push(now);
-        return { isAllowed: true };
+    const earned = (now - bucket.lastRefill) * bucket.perMinute / 60000;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + earned);
+    bucket.lastRefill = now;
+}
+
+/**
+ * Calculates how long until the bucket holds a whole token again.
+ * @param {Object} bucket - The bucket to inspect.
+ * @returns {number} - Milliseconds until the next token, 0 if one is available.
+ */
+function getTimeUntilNextToken(bucket) {
+    if (bucket.tokens >= 1) return 0;
+    return Math.ceil((1 - bucket.tokens) * 60000 / bucket.perMinute);
+}
+
+/**
+ * Checks whether an endpoint could take a request right now without queueing.
+ * @param {Object} endpoint - The endpoint to check.
+ * @param {Object} settings - The rate limit settings.
+ * @returns {Promise<boolean>} - True when the endpoint has a free token and nobody is waiting for it.
+ */
+async function hasFreeToken(endpoint, settings) {
+    const bucket = await getBucket(endpoint, settings);
+    return getQueue(endpoint.url).entries.length === 0 && bucket.tokens >= 1;
+}
+
+/**
+ * Takes a token from the endpoint's bucket, waiting in its queue while the bucket is empty.
+ * @param {Object} endpoint - The endpoint the request will be sent to.
+ * @param {Object} settings - The rate limit settings.
+ * @param {Function} [onQueueUpdate] - Called with { position, waitTime } while waiting, and with
+ *     { position: 0 } once the request leaves the queue.
+ * @returns {Promise<void>} - Resolves when the request may be sent.
+ */
+async function acquireToken(endpoint, settings, onQueueUpdate = () => {}) {
+    const bucket = await getBucket(endpoint, settings);
+    const queue = getQueue(endpoint.url);
+    rateLimitState.lastUsedEndpoint = endpoint.url;
+    if (queue.entries.length === 0 && bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        await persistRateLimitState();
+        sendRateLimitUpdate();
+        return;
+    }
+    return new Promise((resolve) => {
+        queue.entries.push({ resolve, onQueueUpdate });
+        notifyQueuePositions(bucket, queue);
+        scheduleQueue(bucket, queue);
+    });
+}
+
+/**
+ * Schedules the release of the next queued request for when the bucket earns a token.
+ * @param {Object} bucket - The bucket the queue waits for.
+ * @param {Object} queue - The queue to process.
+ */
+function scheduleQueue(bucket, queue) {
+    if (queue.timerId || queue.entries.length === 0) return;
+    queue.timerId = setTimeout(async () => {
+        queue.timerId = null;
+        refillBucket(bucket);
+        while (queue.entries.length > 0 && bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            const next = queue.entries.shift();
+            next.onQueueUpdate({ position: 0, waitTime: 0 });
+            next.resolve();
+        }
+        await persistRateLimitState();
+        sendRateLimitUpdate();
+        notifyQueuePositions(bucket, queue);
+        scheduleQueue(bucket, queue);
+    }, getTimeUntilNextToken(bucket));
+}
+
+/**
+ * Tells every queued request its current position and estimated wait.
+ * @param {Object} bucket - The bucket the queue waits for.
+ * @param {Object} queue - The queue that changed.
+ */
+function notifyQueuePositions(bucket, queue) {
+    const tokenInterval = 60000 / bucket.perMinute;
+    const firstWait = getTimeUntilNextToken(bucket);
+    queue.entries.forEach((entry, index) => {
+        entry.onQueueUpdate({
+            position: index + 1,
+            waitTime: Math.ceil((firstWait + index * tokenInterval) / 1000)
+        });
+    });
+}
+
+/**
+ * Adds or removes a frame from the tabs that receive rate limit updates.
+ * @param {Object} sender - The sender of the subscribe or unsubscribe message.
+ * @param {boolean} subscribe - True to start receiving updates, false to stop.
+ * @returns {Promise<void>}
+ */
+async function setRateLimitSubscription(sender, subscribe) {
+    if (!sender.tab) return;
+    const result = await chrome.storage.session.get([RATE_LIMIT_SUBSCRIBERS_KEY]);
+    const subscribers = (result[RATE_LIMIT_SUBSCRIBERS_KEY] || [])
+        .filter(subscriber => subscriber.tabId !== sender.tab.id || subscriber.frameId !== sender.frameId);
+    if (subscribe) {
+        subscribers.push({ tabId: sender.tab.id, frameId: sender.frameId });
+    }
+    await chrome.storage.session.set({ [RATE_LIMIT_SUBSCRIBERS_KEY]: subscribers });
+    if (subscribe) {
+        sendRateLimitUpdate();
+    }
+}
+
+/**
+ * Removes every subscription of a tab, e.g. once it has been closed.
+ * @param {number} tabId - The tab to forget.
+ * @returns {Promise<void>}
+ */
+async function removeRateLimitSubscriber(tabId) {
+    const result = await chrome.storage.session.get([RATE_LIMIT_SUBSCRIBERS_KEY]);
+    const subscribers = result[RATE_LIMIT_SUBSCRIBERS_KEY] || [];
+    if (subscribers.some(subscriber => subscriber.tabId === tabId)) {
+        await chrome.storage.session.set({
+            [RATE_LIMIT_SUBSCRIBERS_KEY]: subscribers.filter(subscriber => subscriber.tabId !== tabId)
+        });
+    }
+}
+
+/**
+ * Sends the quota of the last used endpoint to the tabs that subscribed to rate limit updates.
+ * Called whenever the quota changes; while the bucket refills, one more update is scheduled for
+ * the moment the next token becomes available.
+ * @returns {Promise<void>}
+ */
+async function sendRateLimitUpdate() {
+    await loadRateLimitState();
+    const bucket = rateLimitState.buckets[rateLimitState.lastUsedEndpoint];
+    if (!bucket) return;
+    const result = await chrome.storage.session.get([RATE_LIMIT_SUBSCRIBERS_KEY]);
+    const subscribers = result[RATE_LIMIT_SUBSCRIBERS_KEY] || [];
+    clearTimeout(rateLimitUpdateTimerId);
+    rateLimitUpdateTimerId = null;
+    if (subscribers.length === 0) return;
+
+    refillBucket(bucket);
+    const remainingRequests = Math.floor(bucket.tokens);
+    const waitTime = Math.ceil(getTimeUntilNextToken(bucket) / 1000);
+    subscribers.forEach(({ tabId, frameId }) => {
+        chrome.tabs.sendMessage(tabId, {
+            action: 'rateLimitUpdate',
+            remainingRequests,
+            waitTime: waitTime > 0 ? waitTime : null
+        }, { frameId }, () => {
+            // The tab navigated away or was closed: stop sending it updates
+            if (chrome.runtime.lastError) {
+                removeRateLimitSubscriber(tabId);
+            }
+        });
+    });
+
+    if (bucket.tokens < bucket.capacity) {
+        // Time until the bucket gains its next whole token
+        const untilNextToken = Math.ceil((1 - (bucket.tokens % 1)) * 60000 / bucket.perMinute);
+        rateLimitUpdateTimerId = setTimeout(sendRateLimitUpdate, untilNextToken);
+    }
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    removeRateLimitSubscriber(tabId);
+});
+
+const MAX_ALTERNATIVES = 5; // Upper bound for the alternative translations asked from the server
+const DEFAULT_BATCH_SETTINGS = {
+    batchCharLimit: 2000 // Maximum characters packed into one batch request
+};
+const BATCH_COLLECT_DELAY = 50; // Time to collect more texts before a batch is sent, in milliseconds
+const pendingBatches = {}; // Texts waiting to be sent, per endpoint pool and language pair
+
+const LANGUAGE_CACHE_STORAGE_KEY = 'languageCache'; // chrome.storage.local key holding /languages per endpoint
+const LANGUAGE_CACHE_TTL = 24 * 60 * 60 * 1000; // Languages are fetched again after a day
+const SERVER_SETTINGS_TTL = 60 * 60 * 1000; // /frontend/settings are fetched again after an hour
+const SERVER_SETTINGS_FAILURE_TTL = 5 * 60 * 1000; // Servers without /frontend/settings are asked again after 5 minutes
+const serverSettingsCache = {}; // /frontend/settings per endpoint URL ({ settings, fetchedAt }), settings null on failure
+const DEFAULT_LANGUAGES = { // Used when the server's language list cannot be loaded
+    en: 'English',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    it: 'Italian',
+    pt: 'Portuguese',
+    ru: 'Russian',
+    ja: 'Japanese',
+    zh: 'Chinese',
+    ar: 'Arabic'
+};
+
+const CACHE_STORAGE_KEY = 'translationCache'; // chrome.storage.local key holding cached translations
+const CACHE_STATS_STORAGE_KEY = 'translationCacheStats'; // chrome.storage.local key holding hit/miss counters
+const DEFAULT_CACHE_SETTINGS = {
+    cacheEnabled: true, // Serve repeated translations from the cache
+    cacheMaxEntries: 500, // Least recently used entries are evicted above this size
+    cacheTtlHours: 168 // Entries older than this are discarded (7 days)
+};
+const CACHE_PERSIST_DELAY_MS = 1000; // Cache changes made within this delay are written to storage together
+let cacheState = null; // In-memory copy of the persisted cache, loaded lazily after a worker restart
+let cacheLoad = null; // Pending or finished load of the persisted cache, shared by concurrent callers
+let cachePersistTimer = null; // Timer of the scheduled cache write
+
+/**
+ * Builds the cache key for a translation.
+ * @param {Object} request - The translation request ({ text, sourceLanguage, targetLanguage, format, alternatives }).
+ * @param {string} endpoint - The API URL used for the translation.
+ * @returns {string} - The cache key.
+ */
+function getCacheKey(request, endpoint) {
+    return JSON.stringify([endpoint, request.sourceLanguage, request.targetLanguage, request.format, request.alternatives, request.text]);
+}
+
+/**
+ * Reads the cache settings saved from the settings popup, falling back to the defaults.
+ * @returns {Promise<Object>} - The cache settings.
+ */
+async function getCacheSettings() {
+    const result = await chrome.storage.local.get(Object.keys(DEFAULT_CACHE_SETTINGS));
+    return {
+        cacheEnabled: result.cacheEnabled ?? DEFAULT_CACHE_SETTINGS.cacheEnabled,
+        cacheMaxEntries: Number(result.cacheMaxEntries) || DEFAULT_CACHE_SETTINGS.cacheMaxEntries,
+        cacheTtlHours: Number(result.cacheTtlHours) || DEFAULT_CACHE_SETTINGS.cacheTtlHours
+    };
+}
+
+/**
+ * Loads the persisted cache into memory once per worker lifetime.
+ * Concurrent callers share the same load, so none of them replaces entries another one already added.
+ * @returns {Promise<Object>} - Object containing the entries map and the hit/miss stats.
+ */
+function loadCache() {
+    if (!cacheLoad) {
+        cacheLoad = chrome.storage.local.get([CACHE_STORAGE_KEY, CACHE_STATS_STORAGE_KEY]).then((result) => {
+            cacheState = {
+                entries: result[CACHE_STORAGE_KEY] || {},
+                stats: result[CACHE_STATS_STORAGE_KEY] || { hits: 0, misses: 0 }
+            };
+            return cacheState;
+        }, (error) => {
+            cacheLoad = null; // Try again on the next lookup
+            throw error;
+        });
+    }
+    return cacheLoad;
+}
+
+/**
+ * Writes the in-memory cache and its stats back to storage, cancelling any scheduled write.
+ * @returns {Promise<void>}
+ */
+async function persistCache() {
+    clearTimeout(cachePersistTimer);
+    cachePersistTimer = null;
+    await chrome.storage.local.set({
+        [CACHE_STORAGE_KEY]: cacheState.entries,
+        [CACHE_STATS_STORAGE_KEY]: cacheState.stats
+    });
+}
+
+/**
+ * Schedules a write of the cache, so that the lookups and stores of a burst of translations
+ * (such as a page translation) are saved with a single write.
+ */
+function schedulePersistCache() {
+    if (cachePersistTimer) return;
+    cachePersistTimer = setTimeout(() => {
+        persistCache().catch(error => console.error('Error saving the translation cache:', error));
+    }, CACHE_PERSIST_DELAY_MS);
+}
+
+/**
+ * Removes expired entries and evicts the least recently used ones above the size limit.
+ * @param {Object} settings - The cache settings.
+ */
+function pruneCache(settings) {
+    const now = Date.now();
+    const maxAge = settings.cacheTtlHours * 60 * 60 * 1000;
+    const entries = Object.entries(cacheState.entries).filter(([, entry]) => now - entry.createdAt < maxAge);
+    entries.sort((a, b) => b[1].lastUsed - a[1].lastUsed);
+    cacheState.entries = Object.fromEntries(entries.slice(0, settings.cacheMaxEntries));
+}
+
+/**
+ * Looks up a translation in the cache and records the hit or miss.
+ * Several keys may be given (one per endpoint of the pool); the first fresh entry wins.
+ * @param {string|string[]} keys - The cache key, or keys in order of preference.
+ * @param {Object} settings - The cache settings.
+ * @returns {Promise<Object|null>} - The cached entry, or null when missing or expired.
+ */
+async function getCachedTranslation(keys, settings) {
+    const [entry] = await getCachedTranslations([[].concat(keys)], settings);
+    return entry;
+}
+
+/**
+ * Looks up several translations in the cache at once, recording each hit or miss, with a single scheduled write.
+ * @param {string[][]} keyLists - For each translation, its cache keys in order of preference.
+ * @param {Object} settings - The cache settings.
+ * @returns {Promise<Array<Object|null>>} - The cached entries, null where missing or expired.
+ */
+async function getCachedTranslations(keyLists, settings) {
+    await loadCache();
+    const maxAge = settings.cacheTtlHours * 60 * 60 * 1000;
+    const now = Date.now();
+    const entries = keyLists.map((keys) => {
+        for (const key of keys) {
+            const entry = cacheState.entries[key];
+            if (entry && now - entry.createdAt < maxAge) {
+                entry.lastUsed = now;
+                cacheState.stats.hits++;
+                return entry;
+            }
+            if (entry) {
+                delete cacheState.entries[key];
+            }
+        }
+        cacheState.stats.misses++;
+        return null;
+    });
+    schedulePersistCache();
+    return entries;
+}
+
+/**
+ * Stores a translation in the cache, pruning it to the configured limits. The write to storage is scheduled.
+ * @param {string} key - The cache key.
+ * @param {Object} value - The data to cache (e.g. { translatedText }).
+ * @param {Object} settings - The cache settings.
+ * @returns {Promise<void>}
+ */
+async function setCachedTranslation(key, value, settings) {
+    await setCachedTranslations([{ key, value }], settings);
+}
+
+/**
+ * Stores several translations in the cache, pruning it once. The write to storage is scheduled.
+ * @param {Array<{key: string, value: Object}>} items - The cache keys and the data to cache under them.
+ * @param {Object} settings - The cache settings.
+ * @returns {Promise<void>}
+ */
+async function setCachedTranslations(items, settings) {
+    await loadCache();
+    const now = Date.now();
+    items.forEach(({ key, value }) => {
+        cacheState.entries[key] = { ...value, createdAt: now, lastUsed: now };
+    });
+    pruneCache(settings);
+    schedulePersistCache();
+}
+
+/**
+ * Collects statistics about the cache for the settings popup.
+ * @returns {Promise<Object>} - Entry count, approximate size in bytes, hits, misses and hit rate.
+ */
+async function getCacheStats() {
+    await loadCache();
+    pruneCache(await getCacheSettings());
+    const { hits, misses } = cacheState.stats;
+    const lookups = hits + misses;
+    return {
+        entries: Object.keys(cacheState.entries).length,
+        bytes: new Blob([JSON.stringify(cacheState.entries)]).size,
+        hits,
+        misses,
+        hitRate: lookups > 0 ? Math.round((hits / lookups) * 100) : 0
+    };
+}
+
+/**
+ * Removes every cached translation and resets the statistics.
+ * @returns {Promise<Object>} - The statistics of the now empty cache.
+ */
+async function clearTranslationCache() {
+    await loadCache().catch(() => {}); // A load still pending would bring the old entries back
+    cacheState = { entries: {}, stats: { hits: 0, misses: 0 } };
+    cacheLoad = Promise.resolve(cacheState);
+    await persistCache();
+    return getCacheStats();
+}
+
+const HISTORY_STORAGE_KEY = 'translationHistory'; // chrome.storage.local key holding translations, newest first
+const DEFAULT_HISTORY_SETTINGS = {
+    historyEnabled: true, // Record translated selections, pages and documents
+    historyMaxEntries: 500 // Oldest entries are dropped above this size
+};
+let historyWrites = Promise.resolve(); // Serializes history updates so concurrent translations do not overwrite each other
+
+/**
+ * Reads the history settings saved from the settings popup, falling back to the defaults.
+ * @returns {Promise<Object>} - The history settings.
+ */
+async function getHistorySettings() {
+    const result = await chrome.storage.local.get(Object.keys(DEFAULT_HISTORY_SETTINGS));
+    return {
+        historyEnabled: result.historyEnabled ?? DEFAULT_HISTORY_SETTINGS.historyEnabled,
+        historyMaxEntries: Number(result.historyMaxEntries) || DEFAULT_HISTORY_SETTINGS.historyMaxEntries
+    };
+}
+
+/**
+ * Applies a change to the stored history once the previous changes are written.
+ * @param {Function} change - Receives the entries and the history settings, returns the new entries.
+ * @returns {Promise<Object[]>} - The entries after the change.
+ */
+function updateHistory(change) {
+    const update = historyWrites.then(async () => {
+        const result = await chrome.storage.local.get([HISTORY_STORAGE_KEY]);
+        const settings = await getHistorySettings();
+        const entries = change(result[HISTORY_STORAGE_KEY] || [], settings).slice(0, settings.historyMaxEntries);
+        await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: entries });
+        return entries;
+    });
+    historyWrites = update.catch(error => console.warn('Error updating translation history:', error.message));
+    return update;
+}
+
+/**
+ * Records a translation in the history, unless history is turned off.
+ * A failure is only logged, as it must not fail the translation.
+ * @param {Object} request - The translation request from createTranslationRequest.
+ * @param {Object} result - The translation result ({ translatedText, detectedLanguage, endpoint }).
+ * @param {Object} sender - The sender of the request, for the page URL.
+ * @returns {Promise<void>}
+ */
+async function addHistoryEntry(request, result, sender) {
+    await addHistoryEntries([{ request, result }], sender);
+}
+
+/**
+ * Records several translations from the same page in the history with a single write, such as the segments
+ * of a translated page. Nothing is recorded when history is turned off; a failure is only logged.
+ * @param {Array<{request: Object, result: Object}>} translations - The requests and their results, in page order.
+ * @param {Object} sender - The sender of the requests, for the page URL.
+ * @returns {Promise<void>}
+ */
+async function addHistoryEntries(translations, sender) {
+    if (translations.length === 0) {
+        return;
+    }
+    try {
+        await updateHistory((entries, settings) => {
+            if (!settings.historyEnabled) {
+                return entries;
+            }
+            const timestamp = Date.now();
+            const newEntries = translations.map(({ request, result }) => ({
+                id: `${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+                originalText: request.text,
+                translatedText: result.translatedText,
+                sourceLanguage: request.sourceLanguage,
+                detectedLanguage: result.detectedLanguage?.language || null,
+                targetLanguage: request.targetLanguage,
+                format: request.format,
+                url: sender?.tab?.url || sender?.url || '',
+                endpoint: result.endpoint || '',
+                timestamp
+            }));
+            return [...newEntries, ...entries];
+        });
+    } catch (error) {
+        console.warn('Error recording translation history:', error.message);
+    }
+}
+
+/**
+ * Returns the translation history, newest first.
+ * @returns {Promise<Object[]>} - The history entries.
+ */
+async function getHistory() {
+    await historyWrites;
+    const result = await chrome.storage.local.get([HISTORY_STORAGE_KEY]);
+    return result[HISTORY_STORAGE_KEY] || [];
+}
+
+/**
+ * Deletes history entries.
+ * @param {string[]} ids - The identifiers of the entries to delete.
+ * @returns {Promise<Object[]>} - The remaining entries.
+ */
+function deleteHistoryEntries(ids) {
+    return updateHistory(entries => entries.filter(entry => !ids.includes(entry.id)));
+}
+
+/**
+ * Deletes the whole translation history.
+ * @returns {Promise<Object[]>} - The (empty) remaining entries.
+ */
+function clearHistory() {
+    return updateHistory(() => []);
+}
+
+const PHRASEBOOK_STORAGE_KEY = 'phrasebook'; // chrome.storage.local key holding saved phrases, newest first
+const PHRASE_EDITABLE_FIELDS = ['translatedText', 'context', 'tags', 'reviewCount', 'correctCount', 'lastReviewedAt'];
+let phrasebookWrites = Promise.resolve(); // Serializes phrasebook updates so concurrent saves do not overwrite each other
+
+/**
+ * Applies a change to the stored phrasebook once the previous changes are written.
+ * @param {Function} change - Receives the phrases, returns the new phrases.
+ * @returns {Promise<Object[]>} - The phrases after the change.
+ */
+function updatePhrasebook(change) {
+    const update = phrasebookWrites.then(async () => {
+        const result = await chrome.storage.local.get([PHRASEBOOK_STORAGE_KEY]);
+        const phrases = change(result[PHRASEBOOK_STORAGE_KEY] || []);
+        await chrome.storage.local.set({ [PHRASEBOOK_STORAGE_KEY]: phrases });
+        return phrases;
+    });
+    phrasebookWrites = update.catch(error => console.warn('Error updating phrasebook:', error.message));
+    return update;
+}
+
+/**
+ * Saves a phrase from the translation popup. Saving the same original text for the same target language again
+ * replaces the earlier phrase, keeping its tags and review progress.
+ * @param {Object} phrase - The phrase ({ originalText, translatedText, context, sourceLanguage, targetLanguage }).
+ * @param {Object} sender - The sender of the request, for the page URL.
+ * @returns {Promise<Object>} - The saved phrase.
+ */
+async function addToPhrasebook(phrase, sender) {
+    if (!phrase?.originalText || !phrase?.translatedText) {
+        throw new Error('A phrase needs an original text and a translation');
+    }
+    let saved;
+    await updatePhrasebook((phrases) => {
+        const existing = phrases.find(entry => entry.originalText === phrase.originalText && entry.targetLanguage === phrase.targetLanguage);
+        saved = {
+            id: existing?.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            originalText: phrase.originalText,
+            translatedText: phrase.translatedText,
+            context: phrase.context || '',
+            sourceLanguage: phrase.sourceLanguage || '',
+            targetLanguage: phrase.targetLanguage || '',
+            url: sender?.tab?.url || sender?.url || '',
+            tags: existing?.tags || [],
+            reviewCount: existing?.reviewCount || 0,
+            correctCount: existing?.correctCount || 0,
+            lastReviewedAt: existing?.lastReviewedAt || null,
+            createdAt: Date.now()
+        };
+        return [saved, ...phrases.filter(entry => entry !== existing)];
+    });
+    return saved;
+}
+
+/**
+ * Returns the saved phrases, newest first.
+ * @returns {Promise<Object[]>} - The phrases.
+ */
+async function getPhrasebook() {
+    await phrasebookWrites;
+    const result = await chrome.storage.local.get([PHRASEBOOK_STORAGE_KEY]);
+    return result[PHRASEBOOK_STORAGE_KEY] || [];
+}
+
+/**
+ * Updates the editable fields of a phrase: its translation, context, tags and review progress.
+ * @param {string} id - The identifier of the phrase.
+ * @param {Object} changes - The new field values; other fields are ignored.
+ * @returns {Promise<Object[]>} - The phrases after the change.
+ */
+function updatePhrase(id, changes) {
+    const allowed = Object.fromEntries(Object.entries(changes || {}).filter(([field]) => PHRASE_EDITABLE_FIELDS.includes(field)));
+    return updatePhrasebook(phrases => phrases.map(phrase => (phrase.id === id ? { ...phrase, ...allowed } : phrase)));
+}
+
+/**
+ * Deletes phrases from the phrasebook.
+ * @param {string[]} ids - The identifiers of the phrases to delete.
+ * @returns {Promise<Object[]>} - The remaining phrases.
+ */
+function deletePhrases(ids) {
+    return updatePhrasebook(phrases => phrases.filter(phrase => !ids.includes(phrase.id)));
+}
+
+const GLOSSARY_STORAGE_KEY = 'glossary'; // chrome.storage.local key holding the user's glossary entries
+const GLOSSARY_PLACEHOLDER = /\[\s*\[\s*(\d+)\s*\]\s*\]/g; // Matches [[0]] placeholders, also when the API spaced them out
+
+/**
+ * Reads the glossary entries that apply to a language pair, longest term first so that longer terms win over
+ * the terms they contain. Protected terms always apply. Forced translations apply when their target language
+ * matches and their source language is empty, matches, or the source is being auto-detected.
+ * @param {string} sourceLanguage - The source language code, or 'auto'.
+ * @param {string} targetLanguage - The target language code.
+ * @returns {Promise<Object[]>} - The entries ({ type: 'term' | 'protected', term, translation, sourceLanguage, targetLanguage }).
+ */
+async function getGlossaryEntries(sourceLanguage, targetLanguage) {
+    const result = await chrome.storage.local.get([GLOSSARY_STORAGE_KEY]);
+    return (result[GLOSSARY_STORAGE_KEY] || [])
+        .filter(entry => entry.term && (entry.type === 'protected' || (
+            entry.translation && entry.targetLanguage === targetLanguage
+            && (!entry.sourceLanguage || sourceLanguage === 'auto' || entry.sourceLanguage === sourceLanguage)
+        )))
+        .sort((a, b) => b.term.length - a.term.length);
+}
+
+/**
+ * Replaces the glossary terms found in a text with numbered [[n]] placeholders, which the APIs leave untranslated.
+ * Terms match as whole words, ignoring case. In HTML only the text between tags is masked.
+ * @param {string} text - The text about to be translated.
+ * @param {string} format - 'html' or 'text'.
+ * @param {Object[]} entries - The entries from getGlossaryEntries.
+ * @returns {Object} - { text, replacements }, replacements[n] being what placeholder n is restored to:
+ *     the term as written for protected terms, the forced translation otherwise.
+ */
+function maskGlossaryTerms(text, format, entries) {
+    if (entries.length === 0) {
+        return { text, replacements: [] };
+    }
+    const replacements = [];
+    const terms = entries.map(entry => entry.term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+    const mask = part => part.replace(pattern, (match) => {
+        const entry = entries.find(candidate => candidate.term.toLowerCase() === match.toLowerCase());
+        if (!entry || entry.type === 'protected') {
+            replacements.push(match);
+        } else if (format === 'html') {
+            replacements.push(entry.translation.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+        } else {
+            replacements.push(entry.translation);
+        }
+        return `[[${replacements.length - 1}]]`;
+    });
+    const masked = format === 'html'
+        ? text.split(/(<[^>]*>)/).map(part => (part.startsWith('<') ? part : mask(part))).join('')
+        : mask(text);
+    return { text: masked, replacements };
+}
+
+/**
+ * Puts the protected terms and forced translations back in place of their placeholders.
+ * @param {string} text - The translated text.
+ * @param {string[]} replacements - The replacements from maskGlossaryTerms.
+ * @returns {string} - The text with the placeholders replaced.
+ */
+function restoreGlossaryTerms(text, replacements) {
+    if (!text || replacements.length === 0) {
+        return text;
+    }
+    return text.replace(GLOSSARY_PLACEHOLDER, (placeholder, index) => replacements[index] ?? placeholder);
+}
+
+/**
+ * Cached translations were made with the previous glossary, so they are dropped when it changes.
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[GLOSSARY_STORAGE_KEY]) {
+        clearTranslationCache().catch(error => console.warn('Error clearing the cache after a glossary change:', error.message));
+    }
+});
+
+const CONTEXT_MENU_LANGUAGE_PREFIX = 'translateInto:'; // Menu item ids of the language submenu, followed by the language code
+let contextMenuUpdate = Promise.resolve(); // Serializes menu rebuilds so their items do not collide
+
+/**
+ * Creates the context menu entries. Chrome keeps them across worker restarts, so they are rebuilt
+ * when the extension is installed or updated, and when the configured API changes.
+ * @returns {Promise<void>}
+ */
+async function createContextMenus() {
+    await chrome.contextMenus.removeAll();
+    chrome.contextMenus.create({ id: 'translateSelection', title: 'Translate selection', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'translateSelectionInto', title: 'Translate selection into…', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'translateElement', title: 'Translate link text / image alt', contexts: ['link', 'image'] });
+    chrome.contextMenus.create({ id: 'translatePage', title: 'Translate this page', contexts: ['page'] });
+
+    const stored = await chrome.storage.local.get(['apiUrl', 'apiKey', 'apiProvider']);
+    let targets = [];
+    if (stored.apiUrl) {
+        const { languages } = await getLanguages(await resolveEndpoint(stored.apiUrl, stored.apiKey, stored.apiProvider));
+        targets = getTargetLanguages(languages, 'auto');
+    }
+    if (targets.length === 0) {
+        targets = Object.entries(DEFAULT_LANGUAGES).map(([code, name]) => ({ code, name }));
+    }
+    targets.forEach(({ code, name }) => {
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_LANGUAGE_PREFIX + code,
+            parentId: 'translateSelectionInto',
+            title: name,
+            contexts: ['selection']
+        });
+    });
+}
+
+/**
+ * Rebuilds the context menus once the previous rebuild is done, only logging failures.
+ */
+function refreshContextMenus() {
+    contextMenuUpdate = contextMenuUpdate
+        .then(createContextMenus)
+        .catch(error => console.warn('Error creating context menus:', error.message));
+}
+
+chrome.runtime.onInstalled.addListener(refreshContextMenus);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.apiUrl || changes.apiProvider)) {
+        refreshContextMenus(); // The language submenu lists the configured API's languages
+    }
+});
+
+/**
+ * Forwards context menu clicks to the content script of the clicked frame, which shows the result in its popup.
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab || tab.id < 0) return;
+    let message;
+    if (info.menuItemId === 'translateSelection') {
+        message = { action: 'translateSelection', text: info.selectionText };
+    } else if (String(info.menuItemId).startsWith(CONTEXT_MENU_LANGUAGE_PREFIX)) {
+        message = {
+            action: 'translateSelection',
+            text: info.selectionText,
+            targetLanguage: String(info.menuItemId).slice(CONTEXT_MENU_LANGUAGE_PREFIX.length)
+        };
+    } else if (info.menuItemId === 'translateElement') {
+        message = { action: 'translateElement', linkUrl: info.linkUrl, srcUrl: info.srcUrl };
+    } else if (info.menuItemId === 'translatePage') {
+        message = { action: 'translatePage' };
+    } else {
+        return;
+    }
+    const target = info.menuItemId === 'translatePage' ? { frameId: 0 } : { frameId: info.frameId ?? 0 };
+    chrome.tabs.sendMessage(tab.id, message, target, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('The page cannot be translated, its content script is not loaded:', chrome.runtime.lastError.message);
+        }
+    });
+});
+
+const COMMAND_SHORTCUTS = { // Manifest commands and the in-page shortcut actions they run
+    'activate-plugin': 'activate',
+    'deactivate-plugin': 'deactivate',
+    'toggle-plugin': 'toggle',
+    'test-connection': 'testConnection',
+    'translate-page': 'translatePage',
+    'translate-selection': 'translateSelection'
+};
+const PLUGIN_STATUS_SHORTCUTS = ['activate', 'deactivate', 'toggle'];
+
+/**
+ * Turns single-character shortcuts saved by earlier versions, which always meant Alt plus the key,
+ * into key combinations such as "Alt+A".
+ * @returns {Promise<void>}
+ */
+async function migrateShortcuts() {
+    const { shortcuts } = await chrome.storage.local.get(['shortcuts']);
+    if (!shortcuts) return;
+    const migrated = Object.fromEntries(Object.entries(shortcuts).map(([action, shortcut]) => {
+        return [action, typeof shortcut === 'string' && shortcut.length === 1 ? `Alt+${shortcut.toUpperCase()}` : shortcut];
+    }));
+    await chrome.storage.local.set({ shortcuts: migrated });
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+    migrateShortcuts().catch(error => console.warn('Error migrating shortcuts:', error.message));
+});
+
+/**
+ * Switches the plugin on or off without a content script, for pages where none runs.
+ * @param {string} shortcut - 'activate', 'deactivate' or 'toggle'.
+ * @returns {Promise<void>}
+ */
+async function setPluginStatus(shortcut) {
+    const { isPluginActive } = await chrome.storage.local.get(['isPluginActive']);
+    await chrome.storage.local.set({ isPluginActive: shortcut === 'toggle' ? !isPluginActive : shortcut === 'activate' });
+}
+
+/**
+ * Runs the browser-wide commands in the active tab. The selection is translated by whichever frame holds it;
+ * the other actions run in the top frame. Plugin status commands also work on pages without the content script.
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+    const shortcut = COMMAND_SHORTCUTS[command];
+    if (!shortcut) return;
+    if (!tab || tab.id < 0) {
+        if (PLUGIN_STATUS_SHORTCUTS.includes(shortcut)) {
+            setPluginStatus(shortcut).catch(error => console.warn('Error updating plugin status:', error.message));
+        }
+        return;
+    }
+    const target = shortcut === 'translateSelection' ? {} : { frameId: 0 };
+    chrome.tabs.sendMessage(tab.id, { action: 'runShortcut', shortcut }, target, () => {
+        if (!chrome.runtime.lastError) return;
+        if (PLUGIN_STATUS_SHORTCUTS.includes(shortcut)) {
+            setPluginStatus(shortcut).catch(error => console.warn('Error updating plugin status:', error.message));
+        } else {
+            console.warn(`The ${command} command cannot run on this page:`, chrome.runtime.lastError.message);
+        }
+    });
+});
+
+/**
+ * Handles long-lived connections: document translations and selection translations report their progress over a port.
+ * @param {Object} port - The port opened by an extension page or a content script.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'translateFile' && port.name !== 'translateStream') return;
+    let isConnected = true;
+    port.onDisconnect.addListener(() => {
+        isConnected = false;
+    });
+    const postUpdate = (update) => {
+        if (!isConnected) return false;
+        try {
+            port.postMessage(update);
+        } catch (error) {
+            console.warn('Translation port closed:', error.message);
+            isConnected = false;
+        }
+        return isConnected;
+    };
+    port.onMessage.addListener((message) => {
+        if (port.name === 'translateFile' && message.action === 'translateFile') {
+            translateFile(message, postUpdate);
+        }
+        if (port.name === 'translateStream' && message.action === 'translate') {
+            translateStream(message, port.sender, postUpdate);
+        }
+    });
+});
+
+/**
+ * Translates a selection, splitting it into chunks when it is longer than the character limit of the APIs.
+ * Chunks are translated in order; each one is reported through onUpdate as soon as it arrives:
+ * { type: 'start', total }, then { type: 'chunk', index, total, translatedText } per chunk, and finally
+ * { type: 'done', translatedText, alternatives, detectedLanguage, cached, endpoint } or { type: 'error', error }.
+ * Short selections skip straight to 'done'. The translation stops when onUpdate reports the port as closed.
+ * @param {Object} message - The translate message (as for the 'translate' action).
+ * @param {Object} sender - The sender of the port, for queue updates.
+ * @param {Function} onUpdate - Posts an update; returns false once the requester is gone.
+ * @returns {Promise<void>}
+ */
+async function translateStream(message, sender, onUpdate) {
+    try {
+        const pool = await getEndpointPool(message.apiUrl, message.apiKey);
+        const request = createTranslationRequest(message);
+        const onQueueUpdate = createQueueNotifier(sender, message.requestId);
+        const charLimit = await getHandlingCharLimit(pool);
+        const chunks = charLimit ? splitIntoChunks(request.text, charLimit, request.format) : [request.text];
+        if (chunks.length === 1) {
+            const result = await translateWithCache(request, pool, onQueueUpdate);
+            onUpdate({ type: 'done', ...result });
+            await addHistoryEntry(request, result, sender);
+            return;
+        }
+
+        if (!onUpdate({ type: 'start', total: chunks.length })) return;
+        const results = [];
+        for (let index = 0; index < chunks.length; index++) {
+            const [, leading, text, trailing] = chunks[index].match(/^(\s*)([\s\S]*?)(\s*)$/);
+            const result = text
+                ? await translateWithCache({ ...request, text, alternatives: 0 }, pool, onQueueUpdate)
+                : { translatedText: '', detectedLanguage: null, cached: true };
+            results.push({ ...result, translatedText: leading + result.translatedText.trim() + trailing });
+            if (!onUpdate({ type: 'chunk', index, total: chunks.length, translatedText: results[index].translatedText })) return;
+        }
+        const result = {
+            translatedText: results.map(result => result.translatedText).join(''),
+            alternatives: [],
+            detectedLanguage: results.find(result => result.detectedLanguage)?.detectedLanguage || null,
+            cached: results.every(result => result.cached),
+            endpoint: results.filter(result => result.endpoint).pop()?.endpoint,
+        };
+        onUpdate({ type: 'done', ...result });
+        await addHistoryEntry(request, result, sender);
+    } catch (error) {
+        onUpdate({ type: 'error', error: { message: error.message || 'Translation error', type: error.type } });
+    }
+}
+
+/**
+ * Returns the character limit of the API the request will be sent to first, the way withFailover orders the pool.
+ * Only that API is asked, so a slow or unreachable endpoint further down the pool does not hold the translation up.
+ * @param {Object[]} pool - The ordered endpoint pool from getEndpointPool.
+ * @returns {Promise<number|null>} - The limit, or null when the API does not report one.
+ */
+async function getHandlingCharLimit(pool) {
+    const [endpoint] = await orderPoolByFreeTokens(pool, await getRateLimitSettings());
+    return endpoint ? getProvider(endpoint.provider).getCharLimit(endpoint) : null;
+}
+
+/**
+ * Splits a text into chunks of at most charLimit characters: at paragraph boundaries when possible, then at
+ * sentence boundaries, then at word boundaries. HTML is only split between top-level elements and inside
+ * top-level text, so every chunk keeps balanced tags; a single element longer than the limit stays whole.
+ * Joining the chunks gives back the original text.
+ * @param {string} text - The text to split.
+ * @param {number} charLimit - The maximum number of characters per chunk.
+ * @param {string} format - 'text' or 'html'.
+ * @returns {string[]} - The chunks, in order.
+ */
+function splitIntoChunks(text, charLimit, format) {
+    if (text.length <= charLimit) {
+        return [text];
+    }
+    const units = format === 'html' ? splitHtmlUnits(text, charLimit) : splitTextUnits(text, charLimit);
+    const chunks = [];
+    let current = '';
+    units.forEach((unit) => {
+        if (current && current.length + unit.length > charLimit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += unit;
+    });
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+/**
+ * Splits plain text into paragraphs, each keeping the blank lines that follow it, and splits the paragraphs
+ * longer than the limit further.
+ * @param {string} text - The text to split.
+ * @param {number} charLimit - The maximum number of characters per unit.
+ * @returns {string[]} - Units of at most charLimit characters.
+ */
+function splitTextUnits(text, charLimit) {
+    const parts = text.split(/(\n\s*\n)/);
+    const paragraphs = [];
+    for (let i = 0; i < parts.length; i += 2) {
+        paragraphs.push(parts[i] + (parts[i + 1] || ''));
+    }
+    return paragraphs.flatMap(paragraph => splitToLimit(paragraph, charLimit, [SENTENCE_BOUNDARY, WORD_BOUNDARY]));
+}
+
+/**
+ * Splits HTML into top-level elements and top-level text runs, splitting long text runs further.
+ * @param {string} html - The markup to split.
+ * @param {number} charLimit - The maximum number of characters per text unit.
+ * @returns {string[]} - The units, in order.
+ */
+function splitHtmlUnits(html, charLimit) {
+    const units = [];
+    const tagPattern = /<(\/?)([a-zA-Z][\w-]*)[^>]*>/g;
+    let depth = 0;
+    let unitStart = 0;
+    let match;
+    while ((match = tagPattern.exec(html)) !== null) {
+        const [tag, closing, name] = match;
+        if (depth === 0 && match.index > unitStart) {
+            units.push(...splitToLimit(html.slice(unitStart, match.index), charLimit, [SENTENCE_BOUNDARY, WORD_BOUNDARY]));
+            unitStart = match.index;
+        }
+        if (closing) {
+            depth = Math.max(0, depth - 1);
+        } else if (!VOID_ELEMENTS.has(name.toLowerCase()) && !tag.endsWith('/>')) {
+            depth++;
+        }
+        if (depth === 0) {
+            units.push(html.slice(unitStart, tagPattern.lastIndex));
+            unitStart = tagPattern.lastIndex;
+        }
+    }
+    if (unitStart < html.length) {
+        units.push(...splitToLimit(html.slice(unitStart), charLimit, [SENTENCE_BOUNDARY, WORD_BOUNDARY]));
+    }
+    return units;
+}
+
+/**
+ * Splits a text at the first boundary pattern, then splits the parts still over the limit at the next pattern,
+ * and cuts what remains into pieces of exactly charLimit characters.
+ * @param {string} text - The text to split.
+ * @param {number} charLimit - The maximum number of characters per part.
+ * @param {RegExp[]} boundaries - Zero-width split patterns, coarsest first.
+ * @returns {string[]} - Parts of at most charLimit characters.
+ */
+function splitToLimit(text, charLimit, boundaries) {
+    if (text.length <= charLimit) {
+        return text ? [text] : [];
+    }
+    if (boundaries.length === 0) {
+        const pieces = [];
+        for (let i = 0; i < text.length; i += charLimit) {
+            pieces.push(text.slice(i, i + charLimit));
+        }
+        return pieces;
+    }
+    const [boundary, ...finerBoundaries] = boundaries;
+    return text.split(boundary).flatMap(part => splitToLimit(part, charLimit, finerBoundaries));
+}
+
+/**
+ * Translates a document with the API's /translate_file endpoint and sends the translated file back.
+ * Progress is reported through onUpdate as { type: 'progress', stage, position } messages, followed by
+ * either { type: 'done', name, mimeType, data } or { type: 'error', message }.
+ * The document is recorded in the history under its file name, with the 'document' format and no page URL.
+ * @param {Object} message - The request ({ name, mimeType, data (base64), sourceLanguage, targetLanguage, apiUrl, apiKey }).
+ * @param {Function} onUpdate - Receives the progress, result and error messages.
+ * @returns {Promise<void>}
+ */
+async function translateFile(message, onUpdate) {
+    try {
+        const endpoint = await resolveEndpoint(message.apiUrl, message.apiKey);
+        if (!getProvider(endpoint.provider).capabilities.files) {
+            throw new Error(`${getProvider(endpoint.provider).name} cannot translate documents, use a LibreTranslate API`);
+        }
+        onUpdate({ type: 'progress', stage: 'queued' });
+        await acquireToken(endpoint, await getRateLimitSettings(), ({ position }) => {
+            if (position > 0) onUpdate({ type: 'progress', stage: 'queued', position });
+        });
+
+        onUpdate({ type: 'progress', stage: 'uploading' });
+        const formData = new FormData();
+        formData.append('files', base64ToBlob(message.data, message.mimeType), message.name);
+        formData.append('source', message.sourceLanguage || 'auto');
+        formData.append('target', message.targetLanguage);
+        formData.append('api_key', endpoint.key);
+        const data = await fetchTranslationApi(getApiEndpointUrl(endpoint.url, 'translate_file'), {
+            method: 'POST',
+            headers: { 'Accept': 'application/json' },
+            body: formData,
+        }, FILE_REQUEST_TIMEOUT);
+        if (!data.translatedFileUrl) {
+            throw new Error('The server did not return a translated file');
+        }
+
+        onUpdate({ type: 'progress', stage: 'downloading' });
+        const { response, body: blob } = await fetchWithTimeout(data.translatedFileUrl, {}, FILE_REQUEST_TIMEOUT, response => response.blob());
+        if (!response.ok) {
+            throw new Error(`Error downloading the translated file (HTTP ${response.status})`);
+        }
+        const name = decodeURIComponent(new URL(data.translatedFileUrl).pathname.split('/').pop()) || message.name;
+        onUpdate({ type: 'done', name, mimeType: blob.type || message.mimeType, data: arrayBufferToBase64(await blob.arrayBuffer()) });
+        await addHistoryEntry(
+            { text: message.name, sourceLanguage: message.sourceLanguage || 'auto', targetLanguage: message.targetLanguage, format: 'document' },
+            { translatedText: name, detectedLanguage: null, endpoint: endpoint.url },
+            null
+        );
+    } catch (error) {
+        onUpdate({ type: 'error', message: error.message || 'Document translation error' });
+    }
+}
+
+/**
+ * Decodes base64 data into a Blob.
+ * @param {string} base64 - The base64 encoded data.
+ * @param {string} mimeType - The MIME type of the data.
+ * @returns {Blob} - The decoded data.
+ */
+function base64ToBlob(base64, mimeType) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType || 'application/octet-stream' });
+}
+
+/**
+ * Encodes binary data as base64, so it can travel in extension messages.
+ * @param {ArrayBuffer} buffer - The data to encode.
+ * @returns {string} - The base64 encoded data.
+ */
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Listens for messages from the extension and handles different actions.
+ * @param {Object} message - The message object containing action and data.
+ * @param {Object} sender - The sender of the message.
+ * @param {Function} sendResponse - Function to send a response back to the sender.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'translate') {
+        const onQueueUpdate = createQueueNotifier(sender, message.requestId);
+        getEndpointPool(message.apiUrl, message.apiKey)
+            .then(async (pool) => {
+                const request = createTranslationRequest(message);
+                const result = await translateWithCache(request, pool, onQueueUpdate);
+                await addHistoryEntry(request, result, sender);
+                return result;
+            })
+            .then(({ translatedText, alternatives, detectedLanguage, cached, endpoint }) => {
+                sendResponse({ translatedText, alternatives, detectedLanguage, cached, endpoint });
+            })
+            .catch(error => {
+                try {
+                    chrome.runtime.sendMessage({
+                        action: 'showMessage',
+                        message: error.message || 'Translation error',
+                        type: 'error'
+                    }, () => {
+                        if (chrome.runtime.lastError) {
+                            console.warn('Error sending translation error message:', chrome.runtime.lastError.message);
+                        }
+                    });
+                    sendResponse({ error: { message: error.message || 'Translation error', type: error.type } });
+                } catch (err) {
+                    console.warn('Failed to send translation error message:', err.message);
+                    sendResponse({ error: { message: `Translation error: ${err.message}` } });
+                }
+            });
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'translateBatch') {
+        const onQueueUpdate = createQueueNotifier(sender, message.requestId);
+        getEndpointPool(message.apiUrl, message.apiKey)
+            .then(async (pool) => {
+                const texts = message.texts || [];
+                const sourceLanguage = message.sourceLanguage || 'auto';
+                const results = await translateBatch(texts, sourceLanguage, message.targetLanguage, pool, onQueueUpdate);
+                await addHistoryEntries(results
+                    .map((result, index) => ({ request: { text: texts[index], sourceLanguage, targetLanguage: message.targetLanguage, format: 'text' }, result }))
+                    .filter(({ result }) => !result.error), sender);
+                return results;
+            })
+            .then(results => sendResponse({ results }))
+            .catch(error => sendResponse({ error: { message: error.message || 'Translation error', type: error.type } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'subscribeRateLimit' || message.action === 'unsubscribeRateLimit') {
+        setRateLimitSubscription(sender, message.action === 'subscribeRateLimit')
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ error: { message: error.message } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'getCacheStats') {
+        getCacheStats()
+            .then(stats => sendResponse({ stats }))
+            .catch(error => sendResponse({ error: { message: error.message || 'Cache error' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'clearCache') {
+        clearTranslationCache()
+            .then(stats => sendResponse({ stats }))
+            .catch(error => sendResponse({ error: { message: error.message || 'Cache error' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'getCommandShortcuts') {
+        sendResponse({ commandShortcuts: COMMAND_SHORTCUTS });
+        return false;
+    }
+
+    if (message.action === 'getProviders') {
+        sendResponse({
+            providers: Object.values(PROVIDERS).map(({ id, name, requiresKey, capabilities }) => ({ id, name, requiresKey, capabilities }))
+        });
+        return false;
+    }
+
+    if (message.action === 'getHistory') {
+        getHistory()
+            .then(entries => sendResponse({ entries }))
+            .catch(error => sendResponse({ error: { message: error.message || 'History error' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'deleteHistoryEntries') {
+        deleteHistoryEntries(message.ids || [])
+            .then(entries => sendResponse({ entries }))
+            .catch(error => sendResponse({ error: { message: error.message || 'History error' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'clearHistory') {
+        clearHistory()
+            .then(entries => sendResponse({ entries }))
+            .catch(error => sendResponse({ error: { message: error.message || 'History error' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'addToPhrasebook') {
+        addToPhrasebook(message.phrase, sender)
+            .then(phrase => sendResponse({ phrase }))
+            .catch(error => sendResponse({ error: { message: error.message || 'Phrasebook error' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'getPhrasebook') {
+        getPhrasebook()
+            .then(phrases => sendResponse({ phrases }))
+            .catch(error => sendResponse({ error: { message: error.message || 'Phrasebook error' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'updatePhrase') {
+        updatePhrase(message.id, message.changes)
+            .then(phrases => sendResponse({ phrases }))
+            .catch(error => sendResponse({ error: { message: error.message || 'Phrasebook error' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'deletePhrases') {
+        deletePhrases(message.ids || [])
+            .then(phrases => sendResponse({ phrases }))
+            .catch(error => sendResponse({ error: { message: error.message || 'Phrasebook error' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'getLanguages') {
+        resolveEndpoint(message.apiUrl, message.apiKey, message.provider)
+            .then(endpoint => getLanguages(endpoint))
+            .then(({ languages, fallback }) => {
+                sendResponse({ languages, targets: getTargetLanguages(languages, message.source || 'auto'), fallback });
+            })
+            .catch(error => sendResponse({ error: { message: error.message || 'Error loading languages' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'getServerSettings') {
+        resolveEndpoint(message.apiUrl)
+            .then(async (endpoint) => {
+                const { capabilities } = getProvider(endpoint.provider);
+                const settings = capabilities.suggestions ? await getServerSettings(endpoint.url) : null; // /frontend/settings is LibreTranslate's
+                sendResponse({ settings, capabilities });
+            })
+            .catch(error => sendResponse({ error: { message: error.message || 'Error loading server settings' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'suggest') {
+        getEndpointPool(message.apiUrl, message.apiKey)
+            .then(pool => {
+                const endpoint = pool.find(api => api.url === message.endpoint) || pool[0];
+                if (!getProvider(endpoint.provider).capabilities.suggestions) {
+                    throw new Error(`${getProvider(endpoint.provider).name} does not accept suggestions`);
+                }
+                return suggestTranslation(message, endpoint.url, endpoint.key);
+            })
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ error: { message: error.message || 'Error sending suggestion' } }));
+        return true; // Keeps the message channel open for async response
+    }
+
+    if (message.action === 'healthCheck') {
+        resolveEndpoint(message.apiUrl, message.apiKey, message.provider)
+            .then(endpoint => checkEndpointHealth(endpoint))
+            .then(report => sendResponse(report))
+            .catch(error => sendResponse({ success: false, message: error.message || 'Health check error', details: [] }));
+        return true; // Keeps the message channel open for async response
+    }
+});
+
+/**
+ * Builds the ordered endpoint pool: the configured API first, then the APIs saved in the API Test Manager.
+ * Unless given, the key and provider of the first API are the ones saved for it in the settings or the API Test Manager.
+ * @param {string} apiUrl - The URL of the configured translation API.
+ * @param {string} apiKey - The API key of the configured translation API.
+ * @param {string} [apiProvider] - The provider of the configured translation API.
+ * @returns {Promise<Object[]>} - Array of { url, key, rateLimit, provider } objects without duplicate URLs.
+ */
+async function getEndpointPool(apiUrl, apiKey, apiProvider) {
+    const stored = await chrome.storage.local.get(['apiList', 'apiUrl', 'apiKey', 'apiProvider']);
+    const apiList = stored.apiList || [];
+    const savedApi = stored.apiUrl === apiUrl
+        ? { key: stored.apiKey, provider: stored.apiProvider }
+        : apiList.find(api => api && api.url === apiUrl) || {};
+    const pool = [];
+    [{ url: apiUrl, key: apiKey ?? savedApi.key, provider: apiProvider || savedApi.provider }, ...apiList].forEach(api => {
+        if (api && api.url && !pool.some(endpoint => endpoint.url === api.url)) {
+            pool.push({ url: api.url, key: api.key || '', rateLimit: api.rateLimit || null, provider: getProvider(api.provider).id });
+        }
+    });
+    return pool;
+}
+
+/**
+ * Returns the endpoint of an API URL with its key and provider, as used by the translation requests.
+ * @param {string} apiUrl - The translate URL of the API.
+ * @param {string} [apiKey] - The API key, when known to the caller.
+ * @param {string} [apiProvider] - The provider, when chosen by the caller.
+ * @returns {Promise<Object>} - The endpoint ({ url, key, rateLimit, provider }).
+ */
+async function resolveEndpoint(apiUrl, apiKey, apiProvider) {
+    const [endpoint] = await getEndpointPool(apiUrl, apiKey, apiProvider);
+    return endpoint;
+}
+
+/**
+ * Creates a callback that reports a queued translation's position to the tab that requested it.
+ * @param {Object} sender - The sender of the translate message.
+ * @param {string} [requestId] - Identifier chosen by the content script for the request.
+ * @returns {Function} - Callback for acquireToken.
+ */
+function createQueueNotifier(sender, requestId) {
+    return ({ position, waitTime }) => {
+        if (!sender.tab || !requestId) return;
+        chrome.tabs.sendMessage(sender.tab.id, { action: 'queueUpdate', requestId, position, waitTime }, { frameId: sender.frameId }, () => {
+            if (chrome.runtime.lastError) {
+                console.warn('Error sending queueUpdate:', chrome.runtime.lastError.message);
+            }
+        });
+    };
+}
+
+/**
+ * Builds a translation request from the fields of a translate message.
+ * @param {Object} message - The translate message.
+ * @returns {Object} - The request ({ text, sourceLanguage, targetLanguage, format, alternatives }).
+ */
+function createTranslationRequest(message) {
+    return {
+        text: message.text,
+        sourceLanguage: message.sourceLanguage || 'auto',
+        targetLanguage: message.targetLanguage,
+        format: message.format === 'html' ? 'html' : 'text',
+        alternatives: Math.max(0, Math.min(MAX_ALTERNATIVES, parseInt(message.alternatives, 10) || 0))
+    };
+}
+
+/**
+ * Translates the given text, serving it from the persistent cache when possible.
+ * Cache hits skip both the network and the rate limit; only misses consume a request slot.
+ * @param {Object} request - The translation request from createTranslationRequest.
+ * @param {Object[]} pool - The ordered endpoint pool from getEndpointPool.
+ * @param {Function} [onQueueUpdate] - Receives queue position updates while the request waits for a slot.
+ * @returns {Promise<Object>} - Resolves to { translatedText, alternatives, detectedLanguage, cached, endpoint }.
+ */
+async function translateWithCache(request, pool, onQueueUpdate) {
+    const settings = await getCacheSettings();
+
+    if (settings.cacheEnabled) {
+        const cacheKeys = pool.map(endpoint => getCacheKey(request, endpoint.url));
+        const cachedEntry = await getCachedTranslation(cacheKeys, settings);
+        if (cachedEntry) {
+            const { translatedText, alternatives, detectedLanguage, endpoint } = cachedEntry;
+            return { translatedText, alternatives: alternatives || [], detectedLanguage, cached: true, endpoint };
+        }
+    }
+
+    const { translatedText, alternatives, detectedLanguage, endpoint } = await translateWithFailover(request, pool, onQueueUpdate);
+    if (settings.cacheEnabled) {
+        await setCachedTranslation(getCacheKey(request, endpoint), { translatedText, alternatives, detectedLanguage, endpoint }, settings);
     }
-    // Calculate seconds until next available request
-    const oldestTimestamp = requestTimestamps[0];
-    const waitTime = Math.ceil((TIME_WINDOW - (now - oldestTimestamp)) / 1000);
-    return { isAllowed: false, waitTime };
+    return { translatedText, alternatives, detectedLanguage, cached: false, endpoint };
 }
 
 /**
- * Sends rate limit status update to content scripts if active tabs exist.
+ * Translates the given text with the first endpoint of the pool that answers.
+ * @param {Object} request - The translation request from createTranslationRequest.
+ * @param {Object[]} pool - The ordered endpoint pool from getEndpointPool.
+ * @param {Function} [onQueueUpdate] - Receives queue position updates while the request waits for a slot.
+ * @returns {Promise<Object>} - Resolves to { translatedText, alternatives, detectedLanguage, endpoint }.
  */
-function sendRateLimitUpdate() {
-    const now = Date.now();
-    const remainingRequests = RATE_LIMIT - requestTimestamps.length;
-    const oldestTimestamp = requestTimestamps[0];
-    const waitTime = oldestTimestamp ? Math.ceil((TIME_WINDOW - (now - oldestTimestamp)) / 1000) : 0;
+async function translateWithFailover(request, pool, onQueueUpdate) {
+    const entries = await getGlossaryEntries(request.sourceLanguage, request.targetLanguage);
+    const { text, replacements } = maskGlossaryTerms(request.text, request.format, entries);
+    const result = await withFailover(pool, onQueueUpdate, endpoint => getProvider(endpoint.provider).translate({ ...request, text }, endpoint));
+    return {
+        ...result,
+        translatedText: restoreGlossaryTerms(result.translatedText, replacements),
+        alternatives: (result.alternatives || []).map(alternative => restoreGlossaryTerms(alternative, replacements))
+    };
+}
+
+/**
+ * Reads the timeout and retry settings saved from the settings popup, falling back to the defaults.
+ * @returns {Promise<Object>} - The request settings ({ requestTimeout in milliseconds, maxRetries }).
+ */
+async function getRequestSettings() {
+    const result = await chrome.storage.local.get(Object.keys(DEFAULT_REQUEST_SETTINGS));
+    const requestTimeoutSeconds = Number(result.requestTimeoutSeconds) || DEFAULT_REQUEST_SETTINGS.requestTimeoutSeconds;
+    const maxRetries = Number(result.maxRetries);
+    return {
+        requestTimeout: requestTimeoutSeconds * 1000,
+        maxRetries: Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : DEFAULT_REQUEST_SETTINGS.maxRetries
+    };
+}
+
+/**
+ * Waits before the given retry, doubling the delay for every attempt and adding some jitter so that
+ * requests failing together do not retry together.
+ * @param {number} retry - The retry number, starting at 1.
+ * @returns {Promise<void>}
+ */
+function waitForRetry(retry) {
+    const delay = RETRY_BASE_DELAY * 2 ** (retry - 1);
+    return new Promise(resolve => setTimeout(resolve, delay + Math.random() * delay / 2));
+}
+
+/**
+ * Moves the endpoints with a free rate limit slot to the front of the pool, keeping the order otherwise.
+ * @param {Object[]} pool - The ordered endpoint pool from getEndpointPool.
+ * @param {Object} settings - The rate limit settings.
+ * @returns {Promise<Object[]>} - The endpoints in the order they should be tried.
+ */
+async function orderPoolByFreeTokens(pool, settings) {
+    const freeEndpoints = [];
+    const busyEndpoints = [];
+    for (const endpoint of pool) {
+        (await hasFreeToken(endpoint, settings) ? freeEndpoints : busyEndpoints).push(endpoint);
+    }
+    return [...freeEndpoints, ...busyEndpoints];
+}
 
-    // Check for active tabs before sending message
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs.length > 0) {
+/**
+ * Sends a request to the first endpoint of the pool that answers.
+ * Network failures, timeouts and HTTP 5xx are retried on the same endpoint with exponential backoff;
+ * once the retries are used up, or when the endpoint is rate limiting, the next endpoint is tried.
+ * Any other error is returned to the caller straight away. Endpoints with a free rate limit slot
+ * are tried first, and each attempt waits for a slot of the endpoint it is sent to.
+ * @param {Object[]} pool - The ordered endpoint pool from getEndpointPool.
+ * @param {Function} [onQueueUpdate] - Receives queue position updates while the request waits for a slot.
+ * @param {Function} request - Called with an endpoint; returns a promise of the result object.
+ * @returns {Promise<Object>} - The result of the request, with the URL of the answering endpoint added.
+ */
+async function withFailover(pool, onQueueUpdate, request) {
+    const settings = await getRateLimitSettings();
+    const { maxRetries } = await getRequestSettings();
+    const orderedPool = await orderPoolByFreeTokens(pool, settings);
+    let lastError = new Error('No translation API configured');
+    for (const endpoint of orderedPool) {
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (attempt > 0) {
+                await waitForRetry(attempt);
+            }
+            await acquireToken(endpoint, settings, onQueueUpdate);
             try {
-                chrome.runtime.sendMessage({
-                    action: 'rateLimitUpdate',
-                    remainingRequests,
-                    waitTime: waitTime > 0 ? waitTime : null
-                }, () => {
-                    // Check for runtime errors
-                    if (chrome.runtime.lastError) {
-                        console.warn('Error sending rateLimitUpdate:', chrome.runtime.lastError.message);
-                    }
-                });
+                const result = await request(endpoint);
+                return { ...result, endpoint: endpoint.url };
             } catch (error) {
-                console.warn('Failed to send rateLimitUpdate:', error.message);
+                if (!isFailoverError(error)) {
+                    throw error;
+                }
+                lastError = error;
+                if (!RETRYABLE_ERROR_TYPES.includes(error.type) || attempt === maxRetries) {
+                    console.warn(`Request failed on ${endpoint.url}, trying the next endpoint:`, error.message);
+                    break;
+                }
+                console.warn(`Request failed on ${endpoint.url}, retrying (${attempt + 1}/${maxRetries}):`, error.message);
             }
         }
+    }
+    throw lastError;
+}
+
+/**
+ * Reads the batching settings saved from the settings popup, falling back to the defaults.
+ * @returns {Promise<Object>} - The batching settings.
+ */
+async function getBatchSettings() {
+    const result = await chrome.storage.local.get(Object.keys(DEFAULT_BATCH_SETTINGS));
+    return {
+        batchCharLimit: Number(result.batchCharLimit) || DEFAULT_BATCH_SETTINGS.batchCharLimit
+    };
+}
+
+/**
+ * Translates several texts, packing the ones missing from the cache into as few API requests as possible.
+ * A failed text does not fail the others: its result carries an error instead.
+ * @param {string[]} texts - The texts to translate.
+ * @param {string} sourceLanguage - The source language code, or 'auto' to detect it.
+ * @param {string} targetLanguage - The target language code.
+ * @param {Object[]} pool - The ordered endpoint pool from getEndpointPool.
+ * @param {Function} [onQueueUpdate] - Receives queue position updates while a request waits for a slot.
+ * @returns {Promise<Object[]>} - One { translatedText, detectedLanguage, cached, endpoint } or { error } per text.
+ */
+async function translateBatch(texts, sourceLanguage, targetLanguage, pool, onQueueUpdate) {
+    const settings = await getCacheSettings();
+    const requests = texts.map(text => ({ text, sourceLanguage, targetLanguage, format: 'text', alternatives: 0 }));
+    // The cache is read once for the whole batch and written once after it, not once per text
+    const cachedEntries = settings.cacheEnabled
+        ? await getCachedTranslations(requests.map(request => pool.map(endpoint => getCacheKey(request, endpoint.url))), settings)
+        : [];
+    const newEntries = [];
+    const results = await Promise.all(requests.map(async (request, index) => {
+        const cachedEntry = cachedEntries[index];
+        if (cachedEntry) {
+            const { translatedText, detectedLanguage, endpoint } = cachedEntry;
+            return { translatedText, detectedLanguage, cached: true, endpoint };
+        }
+        try {
+            const result = await enqueueBatchSegment(request.text, sourceLanguage, targetLanguage, pool, onQueueUpdate);
+            newEntries.push({ key: getCacheKey(request, result.endpoint), value: result });
+            return { ...result, cached: false };
+        } catch (error) {
+            return { error: { message: error.message || 'Translation error', type: error.type } };
+        }
+    }));
+    if (settings.cacheEnabled && newEntries.length > 0) {
+        await setCachedTranslations(newEntries, settings);
+    }
+    return results;
+}
+
+/**
+ * Adds a text to the batch collected for its language pair and endpoint pool.
+ * Texts arriving within BATCH_COLLECT_DELAY, from any caller, are sent together.
+ * @param {string} text - The text to translate.
+ * @param {string} sourceLanguage - The source language code, or 'auto'.
+ * @param {string} targetLanguage - The target language code.
+ * @param {Object[]} pool - The ordered endpoint pool from getEndpointPool.
+ * @param {Function} [onQueueUpdate] - Receives queue position updates while the request waits for a slot.
+ * @returns {Promise<Object>} - Resolves to { translatedText, detectedLanguage, endpoint } for this text.
+ */
+function enqueueBatchSegment(text, sourceLanguage, targetLanguage, pool, onQueueUpdate) {
+    const batchKey = JSON.stringify([pool.map(endpoint => endpoint.url), sourceLanguage, targetLanguage]);
+    if (!pendingBatches[batchKey]) {
+        pendingBatches[batchKey] = { pool, sourceLanguage, targetLanguage, segments: [], timerId: null };
+    }
+    const batch = pendingBatches[batchKey];
+    return new Promise((resolve, reject) => {
+        batch.segments.push({ text, resolve, reject, onQueueUpdate });
+        if (!batch.timerId) {
+            batch.timerId = setTimeout(() => flushBatch(batchKey), BATCH_COLLECT_DELAY);
+        }
     });
 }
 
-// Periodically send rate limit updates
-setInterval(sendRateLimitUpdate, 1000);
+/**
+ * Sends the texts collected for a batch key, packed into requests of at most batchCharLimit characters,
+ * and hands each caller its own translation.
+ * @param {string} batchKey - The key of the pending batch.
+ * @returns {Promise<void>}
+ */
+async function flushBatch(batchKey) {
+    const batch = pendingBatches[batchKey];
+    delete pendingBatches[batchKey];
+    const { batchCharLimit } = await getBatchSettings();
+    const entries = await getGlossaryEntries(batch.sourceLanguage, batch.targetLanguage);
+    const maskedSegments = batch.segments.map(segment => ({ ...segment, ...maskGlossaryTerms(segment.text, 'text', entries) }));
+    const requests = packSegments(maskedSegments, batchCharLimit);
+    await Promise.all(requests.map(async (segments) => {
+        const notifiers = [...new Set(segments.map(segment => segment.onQueueUpdate).filter(Boolean))];
+        const onQueueUpdate = (update) => notifiers.forEach(notify => notify(update));
+        try {
+            const { results, endpoint } = await withFailover(batch.pool, onQueueUpdate, endpoint => getProvider(endpoint.provider).translateBatch(
+                segments.map(segment => segment.text), batch.sourceLanguage, batch.targetLanguage, endpoint
+            ));
+            segments.forEach((segment, index) => segment.resolve({
+                ...results[index],
+                translatedText: restoreGlossaryTerms(results[index].translatedText, segment.replacements),
+                endpoint
+            }));
+        } catch (error) {
+            segments.forEach(segment => segment.reject(error));
+        }
+    }));
+}
 
 /**
- * Listens for messages from the extension and handles different actions.
- * @param {Object} message - The message object containing action and data.
- * @param {Object} sender - The sender of the message.
- * @param {Function} sendResponse - Function to send a response back to the sender.
+ * Splits segments into groups whose combined text length stays within the character limit.
+ * A segment longer than the limit is sent on its own.
+ * @param {Object[]} segments - The segments to pack ({ text, ... }).
+ * @param {number} charLimit - The maximum number of characters per request.
+ * @returns {Object[][]} - The groups of segments, in their original order.
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    // Check rate limit before processing
-    if (message.action !== 'rateLimitUpdate' && message.action !== 'showMessage') {
-        const rateLimitCheck = canMakeRequest();
-        if (!rateLimitCheck.isAllowed) {
-            try {
-                chrome.runtime.sendMessage({
-                    action: 'showMessage',
-                    message: `Rate limit exceeded. Please wait ${rateLimitCheck.waitTime} seconds and try again.`,
-                    type: 'error'
-                }, () => {
-                    if (chrome.runtime.lastError) {
-                        console.warn('Error sending showMessage:', chrome.runtime.lastError.message);
-                    }
-                });
-                sendResponse({
-                    error: {
-                        message: `Rate limit exceeded. Please wait ${rateLimitCheck.waitTime} seconds and try again.`
-                    }
-                });
-            } catch (error) {
-                console.warn('Failed to send rate limit error message:', error.message);
-                sendResponse({
-                    error: {
-                        message: `Rate limit error: ${error.message}`
-                    }
-                });
-            }
-            return true;
+function packSegments(segments, charLimit) {
+    const groups = [];
+    let current = [];
+    let currentLength = 0;
+    segments.forEach((segment) => {
+        if (current.length > 0 && currentLength + segment.text.length > charLimit) {
+            groups.push(current);
+            current = [];
+            currentLength = 0;
         }
+        current.push(segment);
+        currentLength += segment.text.length;
+    });
+    if (current.length > 0) {
+        groups.push(current);
     }
+    return groups;
+}
 
-    if (message.action === 'translate') {
-        translateText(message.text, message.targetLanguage, message.apiUrl, message.apiKey)
-            .then(translatedText => {
-                sendResponse({ translatedText });
-            })
-            .catch(error => {
-                try {
-                    chrome.runtime.sendMessage({
-                        action: 'showMessage',
-                        message: error.message || 'Translation error',
-                        type: 'error'
-                    }, () => {
-                        if (chrome.runtime.lastError) {
-                            console.warn('Error sending translation error message:', chrome.runtime.lastError.message);
-                        }
-                    });
-                    sendResponse({ error: { message: error.message || 'Translation error' } });
-                } catch (err) {
-                    console.warn('Failed to send translation error message:', err.message);
-                    sendResponse({ error: { message: `Translation error: ${err.message}` } });
-                }
-            });
-        return true; // Keeps the message channel open for async response
+/**
+ * Error raised by translation requests, carrying the kind of failure so callers can decide how to react.
+ */
+class TranslationError extends Error {
+    /**
+     * @param {string} message - Human readable error message.
+     * @param {string} type - One of 'network', 'timeout', 'auth' (missing or rejected API key), 'rateLimited',
+     *     'badRequest' (the server refused the request), 'server' (HTTP 5xx or a broken response) or 'api'
+     *     (an error reported in a successful response).
+     */
+    constructor(message, type) {
+        super(message);
+        this.name = 'TranslationError';
+        this.type = type;
     }
+}
 
-    if (message.action === 'testConnection') {
-        testConnection(message.apiUrl, message.apiKey)
-            .then(result => {
-                if (!result.success) {
-                    try {
-                        chrome.runtime.sendMessage({
-                            action: 'showMessage',
-                            message: result.message,
-                            type: 'error'
-                        }, () => {
-                            if (chrome.runtime.lastError) {
-                                console.warn('Error sending testConnection error message:', chrome.runtime.lastError.message);
-                            }
-                        });
-                    } catch (error) {
-                        console.warn('Failed to send testConnection error message:', error.message);
-                    }
-                }
-                sendResponse(result);
-            })
-            .catch(error => {
-                try {
-                    chrome.runtime.sendMessage({
-                        action: 'showMessage',
-                        message: error.message,
-                        type: 'error'
-                    }, () => {
-                        if (chrome.runtime.lastError) {
-                            console.warn('Error sending testConnection error message:', chrome.runtime.lastError.message);
-                        }
-                    });
-                    sendResponse({ success: false, message: error.message });
-                } catch (err) {
-                    console.warn('Failed to send testConnection error message:', err.message);
-                    sendResponse({ success: false, message: `Test connection error: ${err.message}` });
-                }
+/**
+ * Checks whether an error means the endpoint is unavailable, so another endpoint should be tried.
+ * @param {Error} error - The error thrown by translateText.
+ * @returns {boolean} - True for timeouts, network failures, server errors and rate limiting.
+ */
+function isFailoverError(error) {
+    return error instanceof TranslationError && ['network', 'timeout', 'rateLimited', 'server'].includes(error.type);
+}
+
+/**
+ * Base class of the translation provider adapters. Each provider knows how to build requests for its API,
+ * parse the responses, list the supported languages and check that an endpoint works.
+ * Endpoints are { url, key, rateLimit, provider } objects from getEndpointPool.
+ */
+class TranslationProvider {
+    /**
+     * @param {string} id - The identifier saved with each endpoint.
+     * @param {string} name - The name shown in the settings.
+     * @param {Object} options - { requiresKey, capabilities }, capabilities listing the optional features
+     *     the API offers: batch, html, alternatives, files and suggestions.
+     */
+    constructor(id, name, { requiresKey = false, capabilities = {} } = {}) {
+        this.id = id;
+        this.name = name;
+        this.requiresKey = requiresKey;
+        this.capabilities = { batch: false, html: false, alternatives: false, files: false, suggestions: false, ...capabilities };
+    }
+
+    /**
+     * Translates a single text.
+     * @param {Object} request - The translation request ({ text, sourceLanguage, targetLanguage, format, alternatives }).
+     * @param {Object} endpoint - The endpoint to send the request to.
+     * @returns {Promise<Object>} - Resolves to { translatedText, alternatives, detectedLanguage }, detectedLanguage
+     *     being { language, confidence } or null, and confidence null when the API does not report it.
+     */
+    async translate(request, endpoint) {
+        throw new Error(`${this.name} does not implement translate`);
+    }
+
+    /**
+     * Translates several texts. Providers without a batch API send one request per text.
+     * @param {string[]} texts - The texts to translate.
+     * @param {string} sourceLanguage - The source language code, or 'auto' to detect it.
+     * @param {string} targetLanguage - The target language code.
+     * @param {Object} endpoint - The endpoint to send the requests to.
+     * @returns {Promise<Object>} - Resolves to { results }, one { translatedText, detectedLanguage } per text.
+     */
+    async translateBatch(texts, sourceLanguage, targetLanguage, endpoint) {
+        const results = [];
+        for (const text of texts) {
+            const { translatedText, detectedLanguage } = await this.translate(
+                { text, sourceLanguage, targetLanguage, format: 'text', alternatives: 0 }, endpoint
+            );
+            results.push({ translatedText, detectedLanguage });
+        }
+        return { results };
+    }
+
+    /**
+     * Loads the languages supported by the API.
+     * @param {Object} endpoint - The endpoint to ask.
+     * @returns {Promise<Object[]>} - Array of { code, name, targets }, targets being the codes the language can be translated into.
+     */
+    async getLanguages(endpoint) {
+        throw new Error(`${this.name} does not implement getLanguages`);
+    }
+
+    /**
+     * Checks an endpoint: translates a short text to measure the latency, and counts the supported languages.
+     * The test translation takes a token from the endpoint's rate limiter like any other, and the latency is
+     * measured from when it got one. Providers that can tell more about the server add to the report in getServerInfo.
+     * @param {Object} endpoint - The endpoint to check.
+     * @returns {Promise<Object>} - Resolves to the report: { success, message, provider, latency, keyRequired,
+     *     charLimit, languageCount, version, capabilities }, unknown values being null.
+     */
+    async healthCheck(endpoint) {
+        const [translation, languages, serverInfo] = await Promise.allSettled([
+            (async () => {
+                await acquireToken(endpoint, await getRateLimitSettings());
+                const startedAt = Date.now();
+                const result = await this.translate({ text: 'Hello', sourceLanguage: 'en', targetLanguage: 'es', format: 'text', alternatives: 0 }, endpoint);
+                return { ...result, latency: Date.now() - startedAt };
+            })(),
+            this.getLanguages(endpoint),
+            this.getServerInfo(endpoint),
+        ]);
+        const report = {
+            success: translation.status === 'fulfilled',
+            message: translation.status === 'fulfilled'
+                ? `"Hello" → "${translation.value.translatedText}"`
+                : translation.reason.message,
+            errorType: translation.status === 'rejected' ? translation.reason.type || null : null,
+            provider: this.name,
+            latency: translation.status === 'fulfilled' ? translation.value.latency : null,
+            keyRequired: this.requiresKey || null,
+            charLimit: null,
+            languageCount: languages.status === 'fulfilled' ? languages.value.length : null,
+            version: null,
+            capabilities: { ...this.capabilities },
+        };
+        if (serverInfo.status === 'fulfilled') {
+            Object.entries(serverInfo.value).forEach(([key, value]) => {
+                report[key] = key === 'capabilities' ? { ...report.capabilities, ...value } : value;
             });
-        return true; // Keeps the message channel open for async response
+        }
+        return report;
     }
-});
+
+    /**
+     * Asks the server for what it reports about itself, to complete the health check report.
+     * @param {Object} endpoint - The endpoint to ask.
+     * @returns {Promise<Object>} - Report fields ({ keyRequired, charLimit, version, capabilities }), empty when unknown.
+     */
+    async getServerInfo(endpoint) {
+        return {};
+    }
+
+    /**
+     * Returns the maximum number of characters the API accepts per request.
+     * @param {Object} endpoint - The endpoint to ask.
+     * @returns {Promise<number|null>} - The limit, or null when the API does not report one.
+     */
+    async getCharLimit(endpoint) {
+        return null;
+    }
+
+    /**
+     * Rejects requests to an API that needs a key when none is configured.
+     * @param {Object} endpoint - The endpoint about to be used.
+     */
+    checkApiKey(endpoint) {
+        if (this.requiresKey && !endpoint.key) {
+            throw new TranslationError(`${this.name} requires an API key`, 'auth');
+        }
+    }
+
+    /**
+     * Rejects HTML requests to an API that can only translate plain text.
+     * @param {Object} request - The translation request.
+     */
+    checkFormat(request) {
+        if (request.format === 'html' && !this.capabilities.html) {
+            throw new TranslationError(`${this.name} cannot translate formatted text, turn off "Preserve formatting"`, 'badRequest');
+        }
+    }
+}
 
 /**
- * Translates the given text to the target language using the translation API.
- * @param {string} text - The text to translate.
- * @param {string} targetLanguage - The target language code (e.g., 'EN', 'DE').
- * @param {string} apiUrl - The URL of the translation API.
- * @param {string} apiKey - The API key for authentication.
- * @returns {Promise<string>} - A promise that resolves to the translated text.
+ * LibreTranslate: form-encoded /translate, array batches, /detect, /languages, /translate_file and /suggest.
  */
-async function translateText(text, targetLanguage, apiUrl, apiKey) {
-    const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
+class LibreTranslateProvider extends TranslationProvider {
+    constructor() {
+        super('libretranslate', 'LibreTranslate', {
+            capabilities: { batch: true, html: true, alternatives: true, files: true, suggestions: true }
+        });
+    }
+
+    /**
+     * When the language is detected automatically, the detected language is reported too, asking the
+     * /detect endpoint if the server does not include it in the translation response.
+     * @inheritDoc
+     */
+    async translate(request, endpoint) {
+        const { text, sourceLanguage, targetLanguage, format, alternatives } = request;
+        const body = new URLSearchParams({
             q: text,
-            source: 'auto',
-            api_key: apiKey,
+            source: sourceLanguage,
+            api_key: endpoint.key,
             target: targetLanguage,
-            format: 'text'
-        }),
-    });
+            format: format
+        });
+        if (alternatives > 0) {
+            body.set('alternatives', alternatives);
+        }
+        const data = await fetchTranslationApi(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: body,
+        });
+
+        let detectedLanguage = data.detectedLanguage || null;
+        if (sourceLanguage === 'auto' && !detectedLanguage) {
+            detectedLanguage = await this.detectLanguage(text, endpoint);
+        }
+
+        return { translatedText: data.translatedText, alternatives: data.alternatives || [], detectedLanguage };
+    }
+
+    /**
+     * Sends all texts in a single request, with `q` as an array.
+     * @inheritDoc
+     */
+    async translateBatch(texts, sourceLanguage, targetLanguage, endpoint) {
+        const data = await fetchTranslationApi(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                q: texts,
+                source: sourceLanguage,
+                api_key: endpoint.key,
+                target: targetLanguage,
+                format: 'text'
+            }),
+        });
+
+        if (!Array.isArray(data.translatedText) || data.translatedText.length !== texts.length) {
+            throw new TranslationError('The translation server did not return one translation per text', 'api');
+        }
+        const detectedLanguages = Array.isArray(data.detectedLanguage) ? data.detectedLanguage : [];
+        return {
+            results: data.translatedText.map((translatedText, index) => ({
+                translatedText,
+                detectedLanguage: detectedLanguages[index] || null
+            }))
+        };
+    }
+
+    /**
+     * Detects the language of a text with the API's /detect endpoint. The request takes a token of the endpoint's
+     * rate limit; when none is free, detection is skipped rather than delaying the translation in the queue.
+     * @param {string} text - The text to inspect.
+     * @param {Object} endpoint - The endpoint to ask.
+     * @returns {Promise<Object|null>} - The most likely { language, confidence }, or null if detection failed or was skipped.
+     */
+    async detectLanguage(text, endpoint) {
+        try {
+            const settings = await getRateLimitSettings();
+            if (!await hasFreeToken(endpoint, settings)) {
+                return null;
+            }
+            await acquireToken(endpoint, settings);
+            const detections = await fetchTranslationApi(getApiEndpointUrl(endpoint.url, 'detect'), {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body: new URLSearchParams({ q: text, api_key: endpoint.key }),
+            });
+            return Array.isArray(detections) && detections.length > 0 ? detections[0] : null;
+        } catch (error) {
+            console.warn('Language detection failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Reads /frontend/settings for the key requirement, character limit and enabled features,
+     * and the OpenAPI document at /spec for the server version.
+     * @inheritDoc
+     */
+    async getServerInfo(endpoint) {
+        const [settings, spec] = await Promise.allSettled([
+            fetchTranslationApi(getApiEndpointUrl(endpoint.url, 'frontend/settings'), { headers: { 'Accept': 'application/json' } }),
+            fetchTranslationApi(getApiEndpointUrl(endpoint.url, 'spec'), { headers: { 'Accept': 'application/json' } }),
+        ]);
+        const info = {};
+        if (settings.status === 'fulfilled') {
+            const serverSettings = settings.value;
+            serverSettingsCache[endpoint.url] = { settings: serverSettings, fetchedAt: Date.now() };
+            info.keyRequired = !!serverSettings.keyRequired;
+            info.charLimit = serverSettings.charLimit > 0 ? serverSettings.charLimit : null;
+            info.capabilities = {
+                suggestions: !!serverSettings.suggestions,
+                files: Array.isArray(serverSettings.supportedFilesFormat) && serverSettings.supportedFilesFormat.length > 0,
+            };
+            info.fileFormats = serverSettings.supportedFilesFormat || [];
+        }
+        if (spec.status === 'fulfilled' && spec.value.info) {
+            info.version = spec.value.info.version || null;
+        }
+        return info;
+    }
+
+    /**
+     * Reads the limit from /frontend/settings.
+     * @inheritDoc
+     */
+    async getCharLimit(endpoint) {
+        const settings = await getServerSettings(endpoint.url);
+        return settings && settings.charLimit > 0 ? settings.charLimit : null;
+    }
+
+    /** @inheritDoc */
+    async getLanguages(endpoint) {
+        const data = await fetchTranslationApi(getApiEndpointUrl(endpoint.url, 'languages'), { headers: { 'Accept': 'application/json' } });
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('Unexpected /languages response');
+        }
+        return data.map(({ code, name, targets }) => ({ code, name, targets: targets || [] }));
+    }
+}
+
+const DEEPL_REGIONAL_TARGETS = { // Target codes DeepL has deprecated, and the regional variant sent instead
+    EN: 'EN-US',
+    PT: 'PT-BR'
+};
+
+/**
+ * DeepL and DeepL-compatible APIs: JSON /v2/translate authenticated with an Authorization header.
+ * Language codes are upper case for DeepL and lower case everywhere else in the extension.
+ */
+class DeepLProvider extends TranslationProvider {
+    constructor() {
+        super('deepl', 'DeepL (or compatible)', {
+            requiresKey: true,
+            capabilities: { batch: true, html: true }
+        });
+    }
+
+    /** @inheritDoc */
+    async translate(request, endpoint) {
+        const { results } = await this.requestTranslations(
+            [request.text], request.sourceLanguage, request.targetLanguage, request.format, endpoint
+        );
+        return { ...results[0], alternatives: [] };
+    }
+
+    /** @inheritDoc */
+    async translateBatch(texts, sourceLanguage, targetLanguage, endpoint) {
+        return this.requestTranslations(texts, sourceLanguage, targetLanguage, 'text', endpoint);
+    }
+
+    /**
+     * Sends texts to the translate URL of the endpoint.
+     * @param {string[]} texts - The texts to translate.
+     * @param {string} sourceLanguage - The source language code, or 'auto'.
+     * @param {string} targetLanguage - The target language code.
+     * @param {string} format - 'text' or 'html'.
+     * @param {Object} endpoint - The endpoint to send the request to.
+     * @returns {Promise<Object>} - Resolves to { results }, one { translatedText, detectedLanguage } per text.
+     */
+    async requestTranslations(texts, sourceLanguage, targetLanguage, format, endpoint) {
+        this.checkApiKey(endpoint);
+        const target = targetLanguage.toUpperCase();
+        const body = { text: texts, target_lang: DEEPL_REGIONAL_TARGETS[target] || target };
+        if (sourceLanguage && sourceLanguage !== 'auto') {
+            body.source_lang = sourceLanguage.split('-')[0].toUpperCase(); // Source languages have no regional variants
+        }
+        if (format === 'html') {
+            body.tag_handling = 'html';
+        }
+        const data = await fetchTranslationApi(endpoint.url, {
+            method: 'POST',
+            headers: { ...this.getHeaders(endpoint), 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        if (!Array.isArray(data.translations) || data.translations.length !== texts.length) {
+            throw new TranslationError(data.message || 'The translation server did not return one translation per text', 'api');
+        }
+        return {
+            results: data.translations.map(({ text, detected_source_language }) => ({
+                translatedText: text,
+                detectedLanguage: detected_source_language
+                    ? { language: detected_source_language.toLowerCase(), confidence: null }
+                    : null
+            }))
+        };
+    }
+
+    /**
+     * Every source language can be translated into every target language. Target-only codes
+     * (regional variants such as en-us) are listed with no targets of their own.
+     * @inheritDoc
+     */
+    async getLanguages(endpoint) {
+        this.checkApiKey(endpoint);
+        const languagesUrl = getApiEndpointUrl(endpoint.url, 'languages');
+        const [sources, targets] = await Promise.all(['source', 'target'].map(type => fetchTranslationApi(
+            `${languagesUrl}?type=${type}`, { headers: this.getHeaders(endpoint) }
+        )));
+        if (!Array.isArray(sources) || !Array.isArray(targets)) {
+            throw new Error('Unexpected /languages response');
+        }
+        const targetCodes = targets.map(({ language }) => language.toLowerCase());
+        const languages = sources.map(({ language, name }) => ({ code: language.toLowerCase(), name, targets: targetCodes }));
+        targets.forEach(({ language, name }) => {
+            if (!languages.some(entry => entry.code === language.toLowerCase())) {
+                languages.push({ code: language.toLowerCase(), name, targets: [] });
+            }
+        });
+        return languages;
+    }
+
+    /**
+     * @param {Object} endpoint - The endpoint to authenticate with.
+     * @returns {Object} - The request headers.
+     */
+    getHeaders(endpoint) {
+        return { 'Accept': 'application/json', 'Authorization': `DeepL-Auth-Key ${endpoint.key}` };
+    }
+}
+
+/**
+ * Lingva-style APIs: GET /api/v1/{source}/{target}/{text}, no API key and no batch requests.
+ * The endpoint URL may be the instance root or any URL below /api/v1.
+ */
+class LingvaProvider extends TranslationProvider {
+    constructor() {
+        super('lingva', 'Lingva');
+    }
+
+    /** @inheritDoc */
+    async translate(request, endpoint) {
+        this.checkFormat(request);
+        const { text, sourceLanguage, targetLanguage } = request;
+        const path = [sourceLanguage || 'auto', targetLanguage, text].map(encodeURIComponent).join('/');
+        const data = await fetchTranslationApi(`${this.getBaseUrl(endpoint)}/api/v1/${path}`, {
+            headers: { 'Accept': 'application/json' },
+        });
+        if (typeof data.translation !== 'string') {
+            throw new TranslationError('Unexpected response from the translation server', 'api');
+        }
+        const detectedSource = data.info?.detectedSource;
+        return {
+            translatedText: data.translation,
+            alternatives: [],
+            detectedLanguage: detectedSource ? { language: detectedSource, confidence: null } : null
+        };
+    }
+
+    /** @inheritDoc */
+    async getLanguages(endpoint) {
+        const [sources, targets] = await Promise.all(['source', 'target'].map(type => fetchTranslationApi(
+            `${this.getBaseUrl(endpoint)}/api/v1/languages/${type}`, { headers: { 'Accept': 'application/json' } }
+        )));
+        if (!Array.isArray(sources.languages) || !Array.isArray(targets.languages)) {
+            throw new Error('Unexpected /languages response');
+        }
+        const targetCodes = targets.languages.map(({ code }) => code);
+        return sources.languages
+            .filter(({ code }) => code !== 'auto')
+            .map(({ code, name }) => ({ code, name, targets: targetCodes }));
+    }
 
-    const data = await response.json();
+    /**
+     * @param {Object} endpoint - The configured endpoint.
+     * @returns {string} - The instance root URL, without trailing slash.
+     */
+    getBaseUrl(endpoint) {
+        const url = new URL(endpoint.url);
+        url.pathname = url.pathname.replace(/\/api\/v1(\/.*)?$/, '').replace(/\/translate\/?$/, '').replace(/\/$/, '');
+        url.search = '';
+        return url.toString().replace(/\/$/, '');
+    }
+}
+
+const PROVIDERS = {
+    libretranslate: new LibreTranslateProvider(),
+    deepl: new DeepLProvider(),
+    lingva: new LingvaProvider(),
+};
+const DEFAULT_PROVIDER = 'libretranslate';
+
+/**
+ * Returns the adapter of a provider, falling back to LibreTranslate for endpoints saved before providers existed.
+ * @param {string} [id] - The provider identifier.
+ * @returns {TranslationProvider} - The provider adapter.
+ */
+function getProvider(id) {
+    return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Fetches a URL and reads its body, abandoning the request once the timeout has passed.
+ * Raises a TranslationError typed 'timeout' or 'network' when no response could be read.
+ * @param {string} url - The URL to request.
+ * @param {Object} options - The fetch options.
+ * @param {number} [timeout] - Time before the request is abandoned, in milliseconds; defaults to the configured timeout.
+ * @param {Function} [readBody] - Reads the body from the response; defaults to reading it as text.
+ * @returns {Promise<{response: Response, body: *}>} - The response and its body.
+ */
+async function fetchWithTimeout(url, options, timeout, readBody = response => response.text()) {
+    timeout = timeout ?? (await getRequestSettings()).requestTimeout;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        return { response, body: await readBody(response) };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new TranslationError(`Request timed out after ${timeout / 1000} seconds`, 'timeout');
+        }
+        throw new TranslationError(`Network error: ${error.message}`, 'network');
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Sends a request to the translation API and returns its JSON body.
+ * Raises a TranslationError typed after the failure: timeouts, network failures, rejected API keys,
+ * rate limiting, refused requests, server errors, responses that are not JSON, and errors reported by the API.
+ * @param {string} url - The URL to request.
+ * @param {Object} options - The fetch options.
+ * @param {number} [timeout] - Time before the request is abandoned, in milliseconds; defaults to the configured timeout.
+ * @returns {Promise<Object>} - The parsed response body.
+ */
+async function fetchTranslationApi(url, options, timeout) {
+    const { response, body } = await fetchWithTimeout(url, options, timeout);
 
+    let data = null;
+    try {
+        data = body ? JSON.parse(body) : {};
+    } catch (error) {
+        // Error pages and misconfigured URLs answer with HTML; the status decides how to report them
+    }
+    const serverMessage = data && (data.error || data.message);
+    const details = serverMessage ? `: ${serverMessage}` : '';
+
+    if (response.status === 401 || response.status === 403) {
+        throw new TranslationError(`The API key was rejected (HTTP ${response.status})${details}`, 'auth');
+    }
+    if (response.status === 429 || response.status === 456) {
+        throw new TranslationError(`The translation server is rate limiting requests (HTTP ${response.status})${details}`, 'rateLimited');
+    }
+    if (response.status >= 500) {
+        throw new TranslationError(`The translation server failed (HTTP ${response.status})${details}`, 'server');
+    }
+    if (response.status === 404) {
+        throw new TranslationError(`The API endpoint was not found (HTTP 404): ${url}`, 'badRequest');
+    }
+    if (!response.ok) {
+        throw new TranslationError(`The translation server refused the request (HTTP ${response.status})${details}`, 'badRequest');
+    }
+    if (data === null) {
+        throw new TranslationError(`The server at ${url} did not answer with JSON, it may not be a translation API`, 'badRequest');
+    }
     if (data.error) {
-        throw new Error(data.error);
+        throw new TranslationError(data.error, 'api');
+    }
+
+    return data;
+}
+
+/**
+ * Builds the URL of another API endpoint from the configured translate URL.
+ * @param {string} apiUrl - The translate URL (e.g. https://host/translate).
+ * @param {string} path - The endpoint path without leading slash (e.g. 'languages').
+ * @returns {string} - The endpoint URL (e.g. https://host/languages).
+ */
+function getApiEndpointUrl(apiUrl, path) {
+    const url = new URL(apiUrl);
+    url.pathname = url.pathname.replace(/\/translate\/?$/, '').replace(/\/$/, '') + '/' + path;
+    url.search = '';
+    return url.toString();
+}
+
+/**
+ * Loads the languages supported by an API, from the per-endpoint cache when it is fresh.
+ * Falls back to a stale cache entry, then to the built-in list, when the server cannot be reached.
+ * @param {Object} endpoint - The endpoint ({ url, key, provider }).
+ * @returns {Promise<Object>} - Resolves to { languages, fallback }, languages being [{ code, name, targets }].
+ */
+async function getLanguages(endpoint) {
+    const apiUrl = endpoint.url;
+    const result = await chrome.storage.local.get([LANGUAGE_CACHE_STORAGE_KEY]);
+    const languageCache = result[LANGUAGE_CACHE_STORAGE_KEY] || {};
+    const provider = getProvider(endpoint.provider);
+    let cached = apiUrl ? languageCache[apiUrl] : null;
+    if (cached && (cached.provider || DEFAULT_PROVIDER) !== provider.id) {
+        cached = null; // The endpoint was switched to another provider
+    }
+    if (cached && Date.now() - cached.fetchedAt < LANGUAGE_CACHE_TTL) {
+        return { languages: cached.languages, fallback: false };
+    }
+
+    try {
+        const languages = await provider.getLanguages(endpoint);
+        languageCache[apiUrl] = { languages, provider: provider.id, fetchedAt: Date.now() };
+        await chrome.storage.local.set({ [LANGUAGE_CACHE_STORAGE_KEY]: languageCache });
+        return { languages, fallback: false };
+    } catch (error) {
+        console.warn(`Could not load languages from ${apiUrl}:`, error.message);
+        if (cached) {
+            return { languages: cached.languages, fallback: false };
+        }
+        const codes = Object.keys(DEFAULT_LANGUAGES);
+        const languages = codes.map(code => ({ code, name: DEFAULT_LANGUAGES[code], targets: codes }));
+        return { languages, fallback: true };
     }
+}
 
-    return data.translatedText;
+/**
+ * Loads the settings an API publishes for its web frontend (e.g. whether suggestions are enabled).
+ * Results are kept in memory for an hour; failures are remembered for five minutes so that servers without
+ * the endpoint are not asked again on every request.
+ * @param {string} apiUrl - The translate URL of the API.
+ * @returns {Promise<Object|null>} - The settings reported by /frontend/settings, or null if they are unavailable.
+ */
+async function getServerSettings(apiUrl) {
+    const cached = serverSettingsCache[apiUrl];
+    const ttl = cached && cached.settings ? SERVER_SETTINGS_TTL : SERVER_SETTINGS_FAILURE_TTL;
+    if (cached && Date.now() - cached.fetchedAt < ttl) {
+        return cached.settings;
+    }
+    try {
+        const settings = await fetchTranslationApi(getApiEndpointUrl(apiUrl, 'frontend/settings'), {
+            headers: { 'Accept': 'application/json' },
+        });
+        serverSettingsCache[apiUrl] = { settings, fetchedAt: Date.now() };
+        return settings;
+    } catch (error) {
+        console.warn(`Could not load server settings from ${apiUrl}:`, error.message);
+        serverSettingsCache[apiUrl] = { settings: null, fetchedAt: Date.now() };
+        return null;
+    }
 }
 
 /**
- * Tests the connection to the specified API.
- * @param {string} apiUrl - The URL of the API.
+ * Submits a corrected translation to the API's /suggest endpoint.
+ * @param {Object} suggestion - The suggestion ({ originalText, suggestedText, sourceLanguage, targetLanguage }).
+ * @param {string} apiUrl - The translate URL of the API that produced the translation.
  * @param {string} apiKey - The API key for authentication.
- * @returns {Promise<Object>} - A promise that resolves to the test result.
+ * @returns {Promise<Object>} - The API response ({ success }).
  */
-async function testConnection(apiUrl, apiKey) {
-    return fetch(apiUrl, {
+async function suggestTranslation(suggestion, apiUrl, apiKey) {
+    if (!suggestion.sourceLanguage || suggestion.sourceLanguage === 'auto') {
+        throw new Error('Select the source language before suggesting a correction');
+    }
+    const data = await fetchTranslationApi(getApiEndpointUrl(apiUrl, 'suggest'), {
         method: 'POST',
         headers: {
             'Accept': 'application/json',
             'Content-Type': 'application/x-www-form-urlencoded',
         },
         body: new URLSearchParams({
-            q: 'Hello',
-            source: 'en',
-            api_key: apiKey,
-            target: 'es',
-            format: 'text'
+            q: suggestion.originalText,
+            s: suggestion.suggestedText,
+            source: suggestion.sourceLanguage,
+            target: suggestion.targetLanguage,
+            api_key: apiKey || '',
         }),
-    })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! Status: ${response.status}`);
-            }
-            return response.json();
-        })
-        .then(data => {
-            if (data.translatedText) {
-                const statusMessage = data.response?.status || 'Successfully';
-                return { success: true, message: `Success ${statusMessage}` };
-            } else {
-                return { success: false, message: data.error || 'Unknown API error' };
-            }
-        })
-        .catch(error => {
-            return { success: false, message: error.message };
-        });
-}
\ No newline at end of file
+    });
+    if (!data.success) {
+        throw new Error('The server did not accept the suggestion');
+    }
+    return data;
+}
+
+/**
+ * Lists the languages a text can be translated into from the given source language.
+ * For automatic detection every language that is the target of at least one pair is offered.
+ * @param {Object[]} languages - The languages reported by the server.
+ * @param {string} source - The source language code, or 'auto'.
+ * @returns {Object[]} - Array of { code, name }, sorted by name.
+ */
+function getTargetLanguages(languages, source) {
+    const sourceLanguage = languages.find(language => language.code === source);
+    const targetCodes = new Set(sourceLanguage
+        ? sourceLanguage.targets
+        : languages.flatMap(language => language.targets));
+    return languages
+        .filter(language => targetCodes.has(language.code) && language.code !== source)
+        .map(({ code, name }) => ({ code, name }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Runs the health check of an endpoint's provider. The report includes display rows, so every
+ * settings view shows it the same way.
+ * @param {Object} endpoint - The endpoint ({ url, key, provider }).
+ * @returns {Promise<Object>} - The report from TranslationProvider.healthCheck, with { url, details } added.
+ */
+async function checkEndpointHealth(endpoint) {
+    const report = await getProvider(endpoint.provider).healthCheck(endpoint);
+    return { ...report, url: endpoint.url, details: describeHealthReport(report) };
+}
+
+/**
+ * Lists the fields of a health check report as labelled, human readable values.
+ * @param {Object} report - The report from TranslationProvider.healthCheck.
+ * @returns {Object[]} - Array of { label, value } rows.
+ */
+function describeHealthReport(report) {
+    const unknown = 'Unknown';
+    const yesNo = value => value === null || value === undefined ? unknown : (value ? 'Yes' : 'No');
+    const rows = [
+        { label: 'Status', value: report.success ? 'Working' : `Failed: ${report.message}` },
+        { label: 'Provider', value: report.provider },
+        { label: 'Latency', value: report.latency !== null ? `${report.latency} ms` : unknown },
+        { label: 'API key required', value: yesNo(report.keyRequired) },
+        { label: 'Character limit', value: report.charLimit ? `${report.charLimit} per request` : 'None reported' },
+        { label: 'Languages', value: report.languageCount !== null ? String(report.languageCount) : unknown },
+        { label: 'Version', value: report.version || unknown },
+        { label: 'Suggestions', value: yesNo(report.capabilities.suggestions) },
+        { label: 'Document translation', value: report.fileFormats && report.fileFormats.length > 0
+            ? report.fileFormats.join(', ')
+            : yesNo(report.capabilities.files) },
+        { label: 'Formatted text', value: yesNo(report.capabilities.html) },
+        { label: 'Alternatives', value: yesNo(report.capabilities.alternatives) },
+    ];
+    if (report.success) {
+        rows.splice(1, 0, { label: 'Test translation', value: report.message });
+    }
+    return rows;
+}
@@ -0,0 +1,19 @@
+/**
+ * CSV helpers shared by the extension pages that export data.
+ */
+
+/**
+ * Quotes a value as a CSV field. Values starting with =, +, -, @, a tab or a carriage return get a leading ',
+ * so spreadsheets show them as text instead of evaluating them as formulas.
+ * @param {*} value - The value; null and undefined become an empty field.
+ * @param {Object} [options] - Field options.
+ * @param {boolean} [options.escapeFormulas=true] - False for files not meant for spreadsheets, which keep the value as is.
+ * @returns {string} The quoted field.
+ */
+export function toCsvField(value, { escapeFormulas = true } = {}) {
+    let field = String(value ?? '');
+    if (escapeFormulas) {
+        field = field.replace(/^[=+\-@\t\r]/, "'$&");
+    }
+    return `"${field.replace(/"/g, '""')}"`;
+}
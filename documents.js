@@ -0,0 +1,232 @@
+/**
+ * DocumentTranslator drives the document translation page.
+ * The selected file is sent to the background worker, which uploads it to the configured API's /translate_file endpoint
+ * and reports its progress back over a port until the translated file can be downloaded.
+ */
+
+class DocumentTranslator {
+    constructor() {
+        this.defaultApiUrl = 'https://translate.fedilab.app/translate'; // Default API URL
+
+        this.state = {
+            apiUrl: this.defaultApiUrl,
+            apiKey: '',
+            isTranslating: false,
+        };
+
+        this.stages = {
+            reading: {progress: 10, text: 'Reading document...'},
+            queued: {progress: 20, text: 'Waiting for a free request slot...'},
+            uploading: {progress: 40, text: 'Uploading and translating document...'},
+            downloading: {progress: 80, text: 'Downloading translated document...'},
+            done: {progress: 100, text: 'Translation complete.'},
+        };
+
+        this.downloadUrl = null;
+
+        this.init();
+    }
+
+    /**
+     * Loads the configured API and languages, and sets up the page's event listeners.
+     */
+    init() {
+        chrome.storage.local.get(['apiUrl', 'apiKey', 'sourceLanguage', 'targetLanguage'], (result) => {
+            this.state.apiUrl = result.apiUrl || this.defaultApiUrl;
+            this.state.apiKey = result.apiKey || '';
+            this.loadLanguages(result.sourceLanguage || 'auto', result.targetLanguage || 'en');
+        });
+
+        document.getElementById('fileInput').addEventListener('change', () => this.updateTranslateButton());
+        document.getElementById('sourceLanguageSelect').addEventListener('change', () => this.reloadLanguages());
+        document.getElementById('translateButton').addEventListener('click', () => this.translate());
+    }
+
+    /**
+     * Fills the language dropdowns with the languages supported by the configured API.
+     * @param {string} sourceLanguage - The source language code to select, or 'auto'.
+     * @param {string} targetLanguage - The target language code to select.
+     */
+    loadLanguages(sourceLanguage, targetLanguage) {
+        chrome.runtime.sendMessage({action: 'getLanguages', apiUrl: this.state.apiUrl, source: sourceLanguage}, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                this.showStatus(`Error loading languages: ${response?.error?.message || chrome.runtime.lastError?.message}`, 0, true);
+                return;
+            }
+            const sourceSelect = document.getElementById('sourceLanguageSelect');
+            sourceSelect.innerHTML = '';
+            sourceSelect.appendChild(new Option('Auto-detect', 'auto'));
+            response.languages.forEach(({code, name}) => {
+                sourceSelect.appendChild(new Option(`${name} (${code})`, code));
+            });
+            sourceSelect.value = sourceLanguage;
+
+            const targetSelect = document.getElementById('targetLanguageSelect');
+            targetSelect.innerHTML = '';
+            response.targets.forEach(({code, name}) => {
+                targetSelect.appendChild(new Option(`${name} (${code})`, code));
+            });
+            targetSelect.value = response.targets.some(language => language.code === targetLanguage)
+                ? targetLanguage
+                : response.targets[0]?.code || '';
+            this.updateTranslateButton();
+        });
+    }
+
+    /**
+     * Reloads the target languages for the selected source language.
+     */
+    reloadLanguages() {
+        this.loadLanguages(
+            document.getElementById('sourceLanguageSelect').value,
+            document.getElementById('targetLanguageSelect').value
+        );
+    }
+
+    /**
+     * Enables the translate button once a file and a target language are selected.
+     */
+    updateTranslateButton() {
+        const hasFile = document.getElementById('fileInput').files.length > 0;
+        const hasTarget = !!document.getElementById('targetLanguageSelect').value;
+        document.getElementById('translateButton').disabled = this.state.isTranslating || !hasFile || !hasTarget;
+    }
+
+    /**
+     * Reads the selected file and sends it to the background worker for translation.
+     */
+    async translate() {
+        const file = document.getElementById('fileInput').files[0];
+        if (!file || this.state.isTranslating) return;
+
+        this.state.isTranslating = true;
+        this.updateTranslateButton();
+        this.resetDownload();
+        this.showStage('reading');
+
+        let data;
+        try {
+            data = await this.readFileAsBase64(file);
+        } catch (error) {
+            this.finishWithError(`Error reading document: ${error.message}`);
+            return;
+        }
+
+        const port = chrome.runtime.connect({name: 'translateFile'});
+        port.onMessage.addListener((message) => {
+            if (message.type === 'progress') {
+                const position = message.position ? ` (position ${message.position} in queue)` : '';
+                this.showStatus(this.stages[message.stage].text + position, this.stages[message.stage].progress);
+            } else if (message.type === 'done') {
+                this.showStage('done');
+                this.offerDownload(message);
+                this.finish();
+                port.disconnect();
+            } else if (message.type === 'error') {
+                this.finishWithError(`Error translating document: ${message.message}`);
+                port.disconnect();
+            }
+        });
+        port.onDisconnect.addListener(() => {
+            if (this.state.isTranslating) {
+                this.finishWithError('The connection to the background worker was lost. Please try again.');
+            }
+        });
+        port.postMessage({
+            action: 'translateFile',
+            name: file.name,
+            mimeType: file.type,
+            data,
+            sourceLanguage: document.getElementById('sourceLanguageSelect').value,
+            targetLanguage: document.getElementById('targetLanguageSelect').value,
+            apiUrl: this.state.apiUrl,
+            apiKey: this.state.apiKey,
+        });
+    }
+
+    /**
+     * Reads a file and returns its contents as base64, without the data URL prefix.
+     * @param {File} file - The file to read.
+     * @returns {Promise<string>} - The base64 encoded contents.
+     */
+    readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Turns the translated file into a download link.
+     * @param {Object} result - The result sent by the background worker ({ name, mimeType, data }).
+     */
+    offerDownload({name, mimeType, data}) {
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        this.downloadUrl = URL.createObjectURL(new Blob([bytes], {type: mimeType || 'application/octet-stream'}));
+
+        const link = document.getElementById('downloadLink');
+        link.href = this.downloadUrl;
+        link.download = name;
+        link.textContent = `Download ${name}`;
+        link.hidden = false;
+    }
+
+    /**
+     * Hides the previous download link and releases its file.
+     */
+    resetDownload() {
+        if (this.downloadUrl) {
+            URL.revokeObjectURL(this.downloadUrl);
+            this.downloadUrl = null;
+        }
+        document.getElementById('downloadLink').hidden = true;
+    }
+
+    /**
+     * Shows the progress of one of the translation stages.
+     * @param {string} stage - The stage name, a key of this.stages.
+     */
+    showStage(stage) {
+        this.showStatus(this.stages[stage].text, this.stages[stage].progress);
+    }
+
+    /**
+     * Updates the progress bar and status text.
+     * @param {string} text - The status text.
+     * @param {number} progress - The progress in percent.
+     * @param {boolean} [isError=false] - Whether the status is an error.
+     */
+    showStatus(text, progress, isError = false) {
+        const progressElement = document.getElementById('progress');
+        progressElement.hidden = false;
+        progressElement.classList.toggle('error', isError);
+        progressElement.querySelector('.progress-bar').style.width = `${progress}%`;
+        progressElement.querySelector('.progress-status').textContent = text;
+    }
+
+    /**
+     * Ends the current translation and re-enables the form.
+     */
+    finish() {
+        this.state.isTranslating = false;
+        this.updateTranslateButton();
+    }
+
+    /**
+     * Ends the current translation with an error message.
+     * @param {string} message - The error message.
+     */
+    finishWithError(message) {
+        this.showStatus(message, 100, true);
+        this.finish();
+    }
+}
+
+// Initialize DocumentTranslator
+new DocumentTranslator();
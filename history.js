@@ -0,0 +1,312 @@
+import { toCsvField } from './csv.js';
+
+/**
+ * HistoryViewer drives the translation history page.
+ * Entries are recorded by the background worker; this page searches, filters, re-opens, deletes and exports them.
+ */
+
+class HistoryViewer {
+    constructor() {
+        this.entries = []; // All history entries, newest first
+        this.filters = {
+            query: '',
+            language: '',
+            site: '',
+        };
+
+        this.init();
+    }
+
+    /**
+     * Loads the history and sets up the page's event listeners.
+     */
+    init() {
+        this.loadHistory();
+        document.getElementById('searchInput').addEventListener('input', (e) => {
+            this.filters.query = e.target.value.trim().toLowerCase();
+            this.render();
+        });
+        document.getElementById('languageFilter').addEventListener('change', (e) => {
+            this.filters.language = e.target.value;
+            this.render();
+        });
+        document.getElementById('siteFilter').addEventListener('change', (e) => {
+            this.filters.site = e.target.value;
+            this.render();
+        });
+        document.getElementById('exportCsvButton').addEventListener('click', () => this.exportCsv());
+        document.getElementById('exportJsonButton').addEventListener('click', () => this.exportJson());
+        document.getElementById('clearHistoryButton').addEventListener('click', () => this.clearHistory());
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.translationHistory) {
+                this.setEntries(changes.translationHistory.newValue || []);
+            }
+        });
+    }
+
+    /**
+     * Requests the history from the background worker.
+     */
+    loadHistory() {
+        chrome.runtime.sendMessage({action: 'getHistory'}, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                this.showEmpty(`Error loading history: ${response?.error?.message || chrome.runtime.lastError?.message}`);
+                return;
+            }
+            this.setEntries(response.entries);
+        });
+    }
+
+    /**
+     * Replaces the entries, refreshes the filter options and renders the list.
+     * @param {Object[]} entries - The history entries, newest first.
+     */
+    setEntries(entries) {
+        this.entries = entries;
+        this.updateFilterOptions();
+        this.render();
+    }
+
+    /**
+     * Fills the language and site filters with the values found in the history, keeping the current selection.
+     */
+    updateFilterOptions() {
+        const languages = new Set();
+        const sites = new Set();
+        this.entries.forEach((entry) => {
+            this.getEntryLanguages(entry).forEach(language => languages.add(language));
+            const site = this.getSite(entry.url);
+            if (site) sites.add(site);
+        });
+        this.fillFilter('languageFilter', 'All languages', [...languages].sort(), this.filters.language);
+        this.fillFilter('siteFilter', 'All sites', [...sites].sort(), this.filters.site);
+    }
+
+    /**
+     * Replaces the options of a filter select.
+     * @param {string} id - The id of the select.
+     * @param {string} allLabel - The label of the option that disables the filter.
+     * @param {string[]} values - The values to offer.
+     * @param {string} selectedValue - The value to keep selected.
+     */
+    fillFilter(id, allLabel, values, selectedValue) {
+        const select = document.getElementById(id);
+        select.innerHTML = '';
+        select.appendChild(new Option(allLabel, ''));
+        values.forEach(value => select.appendChild(new Option(value, value)));
+        select.value = values.includes(selectedValue) ? selectedValue : '';
+    }
+
+    /**
+     * Returns the entries matching the search text and filters.
+     * @returns {Object[]} The matching entries.
+     */
+    getFilteredEntries() {
+        const {query, language, site} = this.filters;
+        return this.entries.filter((entry) => {
+            if (language && !this.getEntryLanguages(entry).includes(language)) return false;
+            if (site && this.getSite(entry.url) !== site) return false;
+            if (query) {
+                const text = `${this.toPlainText(entry.originalText, entry.format)}\n${this.toPlainText(entry.translatedText, entry.format)}`;
+                return text.toLowerCase().includes(query);
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Renders the entries matching the filters.
+     */
+    render() {
+        const entries = this.getFilteredEntries();
+        document.getElementById('entryCount').textContent = `${entries.length} of ${this.entries.length} translations`;
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            this.showEmpty(this.entries.length === 0 ? 'No translations recorded yet.' : 'No translations match the filters.');
+            return;
+        }
+        entries.forEach(entry => list.appendChild(this.createEntryElement(entry)));
+    }
+
+    /**
+     * Creates the list item showing a history entry.
+     * @param {Object} entry - The history entry.
+     * @returns {HTMLElement} The list item.
+     */
+    createEntryElement(entry) {
+        const item = document.createElement('li');
+        item.className = 'entry';
+
+        const meta = document.createElement('div');
+        meta.className = 'entry-meta';
+        const source = entry.sourceLanguage === 'auto' && entry.detectedLanguage
+            ? `${entry.detectedLanguage} (detected)`
+            : entry.sourceLanguage;
+        const parts = [new Date(entry.timestamp).toLocaleString(), `${source} → ${entry.targetLanguage}`];
+        if (entry.format === 'document') parts.push('Document');
+        if (entry.url) parts.push(this.getSite(entry.url) || entry.url);
+        if (entry.endpoint) parts.push(`via ${this.getSite(entry.endpoint) || entry.endpoint}`);
+        meta.textContent = parts.join(' · ');
+
+        const original = document.createElement('p');
+        original.className = 'entry-text';
+        original.textContent = this.toPlainText(entry.originalText, entry.format);
+
+        const translated = document.createElement('p');
+        translated.className = 'entry-text translated';
+        translated.textContent = this.toPlainText(entry.translatedText, entry.format);
+
+        const actions = document.createElement('div');
+        actions.className = 'entry-actions';
+        const reopenButton = document.createElement('button');
+        reopenButton.textContent = 'Re-open';
+        reopenButton.title = 'Open the page and show this translation on it';
+        reopenButton.disabled = !/^https?:/.test(entry.url || '');
+        reopenButton.addEventListener('click', () => this.reopen(entry));
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.className = 'secondary';
+        deleteButton.addEventListener('click', () => this.deleteEntry(entry));
+        actions.appendChild(reopenButton);
+        actions.appendChild(deleteButton);
+
+        item.appendChild(meta);
+        item.appendChild(original);
+        item.appendChild(translated);
+        item.appendChild(actions);
+        return item;
+    }
+
+    /**
+     * Shows a message instead of the list.
+     * @param {string} message - The message to show.
+     */
+    showEmpty(message) {
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+        const item = document.createElement('li');
+        item.className = 'empty';
+        item.textContent = message;
+        list.appendChild(item);
+    }
+
+    /**
+     * Opens the page an entry was translated on, and shows the translation popup there once it has loaded.
+     * @param {Object} entry - The history entry.
+     */
+    reopen(entry) {
+        chrome.tabs.create({url: entry.url}, (tab) => {
+            const onUpdated = (tabId, changeInfo) => {
+                if (tabId !== tab.id || changeInfo.status !== 'complete') return;
+                chrome.tabs.onUpdated.removeListener(onUpdated);
+                chrome.tabs.sendMessage(tab.id, {action: 'showHistoryEntry', entry}, {frameId: 0}, () => {
+                    if (chrome.runtime.lastError) {
+                        console.warn('Could not show the translation on the page:', chrome.runtime.lastError.message);
+                    }
+                });
+            };
+            chrome.tabs.onUpdated.addListener(onUpdated);
+        });
+    }
+
+    /**
+     * Deletes an entry from the history.
+     * @param {Object} entry - The history entry.
+     */
+    deleteEntry(entry) {
+        chrome.runtime.sendMessage({action: 'deleteHistoryEntries', ids: [entry.id]}, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                alert(`Error deleting entry: ${response?.error?.message || chrome.runtime.lastError?.message}`);
+                return;
+            }
+            this.setEntries(response.entries);
+        });
+    }
+
+    /**
+     * Deletes the whole history after confirmation.
+     */
+    clearHistory() {
+        if (!confirm('Delete all recorded translations?')) {
+            return;
+        }
+        chrome.runtime.sendMessage({action: 'clearHistory'}, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                alert(`Error clearing history: ${response?.error?.message || chrome.runtime.lastError?.message}`);
+                return;
+            }
+            this.setEntries(response.entries);
+        });
+    }
+
+    /**
+     * Downloads the filtered entries as CSV.
+     */
+    exportCsv() {
+        const columns = ['timestamp', 'sourceLanguage', 'detectedLanguage', 'targetLanguage', 'originalText', 'translatedText', 'format', 'url', 'endpoint'];
+        const rows = this.getFilteredEntries().map(entry => columns.map((column) => {
+            return toCsvField(column === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[column]);
+        }).join(','));
+        this.download([columns.join(','), ...rows].join('\r\n'), 'text/csv', 'translation-history.csv');
+    }
+
+    /**
+     * Downloads the filtered entries as JSON.
+     */
+    exportJson() {
+        this.download(JSON.stringify(this.getFilteredEntries(), null, 2), 'application/json', 'translation-history.json');
+    }
+
+    /**
+     * Offers text content as a file download.
+     * @param {string} content - The file content.
+     * @param {string} type - The MIME type.
+     * @param {string} fileName - The suggested file name.
+     */
+    download(content, type, fileName) {
+        const url = URL.createObjectURL(new Blob([content], {type: `${type};charset=utf-8`}));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Lists the languages of an entry: the source (or detected) language and the target language.
+     * @param {Object} entry - The history entry.
+     * @returns {string[]} The language codes.
+     */
+    getEntryLanguages(entry) {
+        return [entry.sourceLanguage, entry.detectedLanguage, entry.targetLanguage]
+            .filter(language => language && language !== 'auto');
+    }
+
+    /**
+     * Returns the host name of a URL.
+     * @param {string} url - The URL.
+     * @returns {string} The host name, or an empty string for invalid URLs.
+     */
+    getSite(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Returns the text of an entry, without markup for entries translated with formatting.
+     * @param {string} text - The original or translated text.
+     * @param {string} format - 'html', 'text', or 'document' for translated files recorded by name.
+     * @returns {string} The plain text.
+     */
+    toPlainText(text, format) {
+        if (format !== 'html') return text || '';
+        return new DOMParser().parseFromString(text || '', 'text/html').body.textContent;
+    }
+}
+
+// Initialize HistoryViewer
+new HistoryViewer();
@@ -0,0 +1,370 @@
+import { toCsvField } from './csv.js';
+
+/**
+ * PhrasebookManager drives the phrasebook page.
+ * Phrases are saved from the translation popup by the background worker; this page tags, reviews and exports them.
+ */
+
+class PhrasebookManager {
+    constructor() {
+        this.phrases = []; // All saved phrases, newest first
+        this.filters = {
+            query: '',
+            tag: '',
+        };
+        this.review = {
+            queue: [], // Phrases still to review; phrases answered with "Again" are queued again
+            reviewed: 0,
+            showingAnswer: false,
+        };
+
+        this.init();
+    }
+
+    /**
+     * Loads the phrasebook and sets up the page's event listeners.
+     */
+    init() {
+        this.loadPhrasebook();
+        document.getElementById('searchInput').addEventListener('input', (e) => {
+            this.filters.query = e.target.value.trim().toLowerCase();
+            this.render();
+        });
+        document.getElementById('tagFilter').addEventListener('change', (e) => {
+            this.filters.tag = e.target.value;
+            this.render();
+        });
+        document.getElementById('reviewButton').addEventListener('click', () => this.startReview());
+        document.getElementById('exportTsvButton').addEventListener('click', () => this.exportAnki('\t'));
+        document.getElementById('exportCsvButton').addEventListener('click', () => this.exportAnki(','));
+        document.getElementById('endReviewButton').addEventListener('click', () => this.endReview());
+        document.getElementById('showAnswerButton').addEventListener('click', () => this.showAnswer());
+        document.getElementById('againButton').addEventListener('click', () => this.answer(false));
+        document.getElementById('knownButton').addEventListener('click', () => this.answer(true));
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.phrasebook) {
+                this.setPhrases(changes.phrasebook.newValue || []);
+            }
+        });
+    }
+
+    /**
+     * Requests the phrasebook from the background worker.
+     */
+    loadPhrasebook() {
+        chrome.runtime.sendMessage({action: 'getPhrasebook'}, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                this.showEmpty(`Error loading phrasebook: ${response?.error?.message || chrome.runtime.lastError?.message}`);
+                return;
+            }
+            this.setPhrases(response.phrases);
+        });
+    }
+
+    /**
+     * Replaces the phrases, refreshes the tag filter and renders the list.
+     * The list is not re-rendered while a tag input has focus, so typing is not interrupted.
+     * @param {Object[]} phrases - The phrases, newest first.
+     */
+    setPhrases(phrases) {
+        this.phrases = phrases;
+        this.updateTagFilter();
+        if (!document.activeElement?.classList.contains('tag-input')) {
+            this.render();
+        }
+    }
+
+    /**
+     * Fills the tag filter with the tags used in the phrasebook, keeping the current selection.
+     */
+    updateTagFilter() {
+        const tags = [...new Set(this.phrases.flatMap(phrase => phrase.tags || []))].sort();
+        const select = document.getElementById('tagFilter');
+        select.innerHTML = '';
+        select.appendChild(new Option('All tags', ''));
+        tags.forEach(tag => select.appendChild(new Option(tag, tag)));
+        this.filters.tag = tags.includes(this.filters.tag) ? this.filters.tag : '';
+        select.value = this.filters.tag;
+    }
+
+    /**
+     * Returns the phrases matching the search text and tag filter.
+     * @returns {Object[]} The matching phrases.
+     */
+    getFilteredPhrases() {
+        const {query, tag} = this.filters;
+        return this.phrases.filter((phrase) => {
+            if (tag && !(phrase.tags || []).includes(tag)) return false;
+            if (query) {
+                return `${phrase.originalText}\n${phrase.translatedText}\n${phrase.context}`.toLowerCase().includes(query);
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Renders the phrases matching the filters.
+     */
+    render() {
+        const phrases = this.getFilteredPhrases();
+        document.getElementById('phraseCount').textContent = `${phrases.length} of ${this.phrases.length} phrases`;
+        document.getElementById('reviewButton').disabled = phrases.length === 0;
+        const list = document.getElementById('phraseList');
+        list.innerHTML = '';
+        if (phrases.length === 0) {
+            this.showEmpty(this.phrases.length === 0
+                ? 'No saved phrases yet. Use "Save" in the translation popup to add one.'
+                : 'No phrases match the filters.');
+            return;
+        }
+        phrases.forEach(phrase => list.appendChild(this.createPhraseElement(phrase)));
+    }
+
+    /**
+     * Creates the list item showing a phrase.
+     * @param {Object} phrase - The phrase.
+     * @returns {HTMLElement} The list item.
+     */
+    createPhraseElement(phrase) {
+        const item = document.createElement('li');
+        item.className = 'entry';
+
+        const meta = document.createElement('div');
+        meta.className = 'entry-meta';
+        const parts = [new Date(phrase.createdAt).toLocaleDateString(), `${phrase.sourceLanguage || '?'} → ${phrase.targetLanguage}`];
+        if (phrase.url) parts.push(this.getSite(phrase.url) || phrase.url);
+        parts.push(phrase.reviewCount > 0 ? `reviewed ${phrase.reviewCount}×, known ${phrase.correctCount}×` : 'not reviewed yet');
+        meta.textContent = parts.join(' · ');
+
+        const original = document.createElement('p');
+        original.className = 'entry-text';
+        original.textContent = phrase.originalText;
+
+        const translated = document.createElement('p');
+        translated.className = 'entry-text translated';
+        translated.textContent = phrase.translatedText;
+
+        item.appendChild(meta);
+        item.appendChild(original);
+        item.appendChild(translated);
+        if (phrase.context) {
+            const context = document.createElement('p');
+            context.className = 'entry-context';
+            context.textContent = phrase.context;
+            item.appendChild(context);
+        }
+
+        const tagList = document.createElement('div');
+        tagList.className = 'tag-list';
+        (phrase.tags || []).forEach((tag) => {
+            const chip = document.createElement('span');
+            chip.className = 'tag';
+            chip.textContent = tag;
+            tagList.appendChild(chip);
+        });
+        const tagInput = document.createElement('input');
+        tagInput.type = 'text';
+        tagInput.className = 'tag-input';
+        tagInput.placeholder = 'Tags, separated by commas';
+        tagInput.value = (phrase.tags || []).join(', ');
+        tagInput.addEventListener('change', () => this.updateTags(phrase, tagInput.value));
+        tagList.appendChild(tagInput);
+        item.appendChild(tagList);
+
+        const actions = document.createElement('div');
+        actions.className = 'entry-actions';
+        if (phrase.url) {
+            const openButton = document.createElement('button');
+            openButton.textContent = 'Open page';
+            openButton.addEventListener('click', () => chrome.tabs.create({url: phrase.url}));
+            actions.appendChild(openButton);
+        }
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.className = 'secondary';
+        deleteButton.addEventListener('click', () => this.deletePhrase(phrase));
+        actions.appendChild(deleteButton);
+        item.appendChild(actions);
+        return item;
+    }
+
+    /**
+     * Shows a message instead of the list.
+     * @param {string} message - The message to show.
+     */
+    showEmpty(message) {
+        const list = document.getElementById('phraseList');
+        list.innerHTML = '';
+        const item = document.createElement('li');
+        item.className = 'empty';
+        item.textContent = message;
+        list.appendChild(item);
+    }
+
+    /**
+     * Replaces the tags of a phrase.
+     * @param {Object} phrase - The phrase.
+     * @param {string} value - The tags, separated by commas.
+     */
+    updateTags(phrase, value) {
+        const tags = [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+        this.updatePhrase(phrase.id, {tags}, () => this.render());
+    }
+
+    /**
+     * Sends changes of a phrase to the background worker.
+     * @param {string} id - The identifier of the phrase.
+     * @param {Object} changes - The changed fields.
+     * @param {Function} [onSaved] - Called once the change is stored.
+     */
+    updatePhrase(id, changes, onSaved) {
+        chrome.runtime.sendMessage({action: 'updatePhrase', id, changes}, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                alert(`Error updating phrase: ${response?.error?.message || chrome.runtime.lastError?.message}`);
+                return;
+            }
+            this.phrases = response.phrases;
+            this.updateTagFilter();
+            if (onSaved) onSaved();
+        });
+    }
+
+    /**
+     * Deletes a phrase from the phrasebook.
+     * @param {Object} phrase - The phrase.
+     */
+    deletePhrase(phrase) {
+        chrome.runtime.sendMessage({action: 'deletePhrases', ids: [phrase.id]}, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                alert(`Error deleting phrase: ${response?.error?.message || chrome.runtime.lastError?.message}`);
+                return;
+            }
+            this.setPhrases(response.phrases);
+        });
+    }
+
+    /**
+     * Starts reviewing the filtered phrases, least known and longest unreviewed first.
+     */
+    startReview() {
+        const score = phrase => (phrase.reviewCount > 0 ? phrase.correctCount / phrase.reviewCount : -1);
+        this.review.queue = this.getFilteredPhrases().sort((a, b) => {
+            return score(a) - score(b) || (a.lastReviewedAt || 0) - (b.lastReviewedAt || 0);
+        });
+        if (this.review.queue.length === 0) return;
+        this.review.reviewed = 0;
+        document.getElementById('listView').hidden = true;
+        document.getElementById('reviewView').hidden = false;
+        this.showCard();
+    }
+
+    /**
+     * Shows the next phrase to review, with its translation hidden.
+     */
+    showCard() {
+        const phrase = this.review.queue[0];
+        if (!phrase) {
+            this.endReview();
+            return;
+        }
+        this.review.showingAnswer = false;
+        document.getElementById('reviewProgress').textContent = `${this.review.reviewed} reviewed, ${this.review.queue.length} to go`;
+        document.getElementById('reviewOriginal').textContent = phrase.originalText;
+        document.getElementById('reviewContext').textContent = phrase.context;
+        document.getElementById('reviewTranslation').textContent = phrase.translatedText;
+        document.getElementById('reviewTranslation').hidden = true;
+        document.getElementById('showAnswerButton').hidden = false;
+        document.getElementById('againButton').hidden = true;
+        document.getElementById('knownButton').hidden = true;
+    }
+
+    /**
+     * Reveals the translation of the current phrase.
+     */
+    showAnswer() {
+        this.review.showingAnswer = true;
+        document.getElementById('reviewTranslation').hidden = false;
+        document.getElementById('showAnswerButton').hidden = true;
+        document.getElementById('againButton').hidden = false;
+        document.getElementById('knownButton').hidden = false;
+    }
+
+    /**
+     * Records the answer for the current phrase and moves on. Phrases that were not known are queued again.
+     * @param {boolean} known - Whether the translation was known.
+     */
+    answer(known) {
+        if (!this.review.showingAnswer) return;
+        const phrase = this.review.queue.shift();
+        const current = this.phrases.find(entry => entry.id === phrase.id) || phrase;
+        this.updatePhrase(phrase.id, {
+            reviewCount: (current.reviewCount || 0) + 1,
+            correctCount: (current.correctCount || 0) + (known ? 1 : 0),
+            lastReviewedAt: Date.now(),
+        });
+        this.review.reviewed++;
+        if (!known) {
+            this.review.queue.push(phrase);
+        }
+        this.showCard();
+    }
+
+    /**
+     * Leaves the review and returns to the phrase list.
+     */
+    endReview() {
+        this.review.queue = [];
+        document.getElementById('reviewView').hidden = true;
+        document.getElementById('listView').hidden = false;
+        this.render();
+    }
+
+    /**
+     * Downloads the filtered phrases as a file for Anki's "Import File".
+     * The header lines tell Anki the separator, that fields are HTML and which column holds the tags.
+     * Columns: original, translation, context, source link, tags.
+     * @param {string} separator - '\t' for TSV or ',' for CSV.
+     */
+    exportAnki(separator) {
+        const isTsv = separator === '\t';
+        const toHtml = text => String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\t/g, ' ')
+            .replace(/\r?\n/g, '<br>');
+        // Anki imports fields literally, so they are not escaped against spreadsheet formulas
+        const toField = value => (isTsv ? value : toCsvField(value, { escapeFormulas: false }));
+        const rows = this.getFilteredPhrases().map((phrase) => {
+            const link = phrase.url ? `<a href="${toHtml(phrase.url).replace(/"/g, '&quot;')}">${toHtml(this.getSite(phrase.url) || phrase.url)}</a>` : '';
+            const tags = (phrase.tags || []).map(tag => tag.replace(/\s+/g, '_')).join(' ');
+            return [toHtml(phrase.originalText), toHtml(phrase.translatedText), toHtml(phrase.context), link, tags]
+                .map(toField)
+                .join(separator);
+        });
+        const header = [`#separator:${isTsv ? 'tab' : 'comma'}`, '#html:true', '#tags column:5'];
+        const content = [...header, ...rows].join('\n');
+        const url = URL.createObjectURL(new Blob([content], {type: `${isTsv ? 'text/tab-separated-values' : 'text/csv'};charset=utf-8`}));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `phrasebook.${isTsv ? 'tsv' : 'csv'}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Returns the host name of a URL.
+     * @param {string} url - The URL.
+     * @returns {string} The host name, or an empty string for invalid URLs.
+     */
+    getSite(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+}
+
+// Initialize PhrasebookManager
+new PhrasebookManager();
@@ -1,3 +1,5 @@
+import { toCsvField } from './csv.js';
+
 /**
  * PopupManager is responsible for handling the settings interface of the translation plugin.
  * It loads, saves, and manages plugin settings including language selection, API URL, API key, and keyboard shortcuts.
@@ -12,18 +14,63 @@ class PopupManager {
 
         this.defaultApiUrl = 'https://translate.fedilab.app/translate'; // Default API URL
 
+        this.defaultCacheSettings = {
+            cacheEnabled: true, // Serve repeated translations from the background cache
+            cacheMaxEntries: 500, // Maximum number of cached translations
+            cacheTtlHours: 168, // Cached translations expire after 7 days
+        };
+
+        this.defaultRequestSettings = {
+            requestTimeoutSeconds: 15, // Time before a translation request is abandoned
+            maxRetries: 2, // Retries with exponential backoff after network, timeout or server errors
+        };
+
+        this.defaultHistorySettings = {
+            historyEnabled: true, // Record translated selections, pages and documents in the history
+            historyMaxEntries: 500, // Oldest history entries are dropped above this size
+        };
+
+        this.defaultTriggerSettings = {
+            triggerMode: 'auto', // What translates a selection: 'auto', 'modifier', 'doubleClick', 'bubble' or 'shortcut'
+            triggerModifier: 'Alt', // Key held while selecting in 'modifier' mode
+            minSelectionLength: 1, // Shorter selections are not translated automatically
+            maxSelectionLength: 0, // Longer selections are not translated automatically, 0 for no limit
+            popupDock: 'selection', // Where translation popups open: next to the selection, or a corner or side
+        };
+
+        this.defaultRateLimitSettings = {
+            rateLimitPerMinute: 8, // Translation requests per minute and API
+            rateLimitBurst: 8, // Requests that may be sent back to back
+            batchCharLimit: 2000, // Characters packed into one batch translation request
+        };
+
+        this.providers = []; // Translation providers supported by the background worker
+
+        this.glossary = []; // Glossary entries ({ type: 'term' | 'protected', term, translation, sourceLanguage, targetLanguage })
+
+        this.glossaryCsvColumns = ['type', 'term', 'translation', 'source_language', 'target_language'];
+
+        this.siteRules = {}; // Rules per hostname ({ action: 'off' | 'on' | 'language' | 'endpoint', targetLanguage, apiUrl })
+        this.currentSite = ''; // Hostname of the active tab, empty for pages the plugin does not run on
+
         this.state = {
             apiUrl: this.defaultApiUrl, // ApiUrl (set to a default if needed)
             apiKey: '', // ApiKey (set to a default if needed)
             isPluginActive: false,
             shortcuts: {
-                activate: 'A',
-                deactivate: 'K',
-                testConnection: 'T',
-                toggle: 'G',
+                activate: 'Alt+A',
+                deactivate: 'Alt+K',
+                testConnection: 'Alt+T',
+                toggle: 'Alt+G',
+                translatePage: 'Alt+P',
+                translateSelection: '',
             }
         };
 
+        this.commands = []; // Browser-wide commands with the shortcut the browser assigned ({ name, description, shortcut })
+
+        this.commandShortcuts = {}; // Manifest commands and the in-page shortcut actions they run, from the background worker
+
         this.init();
     }
 
@@ -44,24 +91,604 @@ class PopupManager {
      * Sets default values if no saved settings exist.
      */
     loadSettings() {
-        chrome.storage.local.get(['targetLanguage', 'apiUrl', 'apiKey', 'isPluginActive', 'shortcuts'], (result) => {
+        chrome.storage.local.get(['sourceLanguage', 'targetLanguage', 'apiUrl', 'apiKey', 'apiProvider', 'isPluginActive', 'shortcuts', 'preserveFormatting', 'alternativesCount',
+            ...Object.keys(this.defaultCacheSettings), ...Object.keys(this.defaultRateLimitSettings), ...Object.keys(this.defaultRequestSettings),
+            ...Object.keys(this.defaultHistorySettings), ...Object.keys(this.defaultTriggerSettings)], (result) => {
             if (result.shortcuts) {
                 this.state.shortcuts = {...this.state.shortcuts, ...result.shortcuts};
             }
-            document.getElementById('languageSelect').value = result.targetLanguage || 'en'; // Set the language select dropdown
             document.getElementById('apiUrl').value = result.apiUrl || this.defaultApiUrl; // Set the API URL input field
             document.getElementById('apiKey').value = result.apiKey || ''; // Set the API key input field
-            document.getElementById('shortcutActivate').value = this.state.shortcuts.activate;
-            document.getElementById('shortcutDeactivate').value = this.state.shortcuts.deactivate;
-            document.getElementById('shortcutTestConnection').value = this.state.shortcuts.testConnection;
-            document.getElementById('shortcutToggle').value = this.state.shortcuts.toggle;
+            this.loadProviders(result.apiProvider || 'libretranslate');
+            document.getElementById('preserveFormatting').checked = result.preserveFormatting || false;
+            document.getElementById('alternativesCount').value = result.alternativesCount || 0;
+            document.querySelectorAll('.shortcut-input').forEach((input) => {
+                input.value = this.state.shortcuts[input.dataset.action] || '';
+            });
+            this.checkShortcutConflicts();
+            document.getElementById('requestTimeoutSeconds').value = result.requestTimeoutSeconds || this.defaultRequestSettings.requestTimeoutSeconds;
+            document.getElementById('maxRetries').value = result.maxRetries ?? this.defaultRequestSettings.maxRetries;
+            document.getElementById('rateLimitPerMinute').value = result.rateLimitPerMinute || this.defaultRateLimitSettings.rateLimitPerMinute;
+            document.getElementById('rateLimitBurst').value = result.rateLimitBurst || this.defaultRateLimitSettings.rateLimitBurst;
+            document.getElementById('batchCharLimit').value = result.batchCharLimit || this.defaultRateLimitSettings.batchCharLimit;
+            document.getElementById('cacheEnabled').checked = result.cacheEnabled ?? this.defaultCacheSettings.cacheEnabled;
+            document.getElementById('cacheMaxEntries').value = result.cacheMaxEntries || this.defaultCacheSettings.cacheMaxEntries;
+            document.getElementById('cacheTtlHours').value = result.cacheTtlHours || this.defaultCacheSettings.cacheTtlHours;
+            document.getElementById('historyEnabled').checked = result.historyEnabled ?? this.defaultHistorySettings.historyEnabled;
+            document.getElementById('historyMaxEntries').value = result.historyMaxEntries || this.defaultHistorySettings.historyMaxEntries;
+            document.getElementById('triggerMode').value = result.triggerMode || this.defaultTriggerSettings.triggerMode;
+            document.getElementById('triggerModifier').value = result.triggerModifier || this.defaultTriggerSettings.triggerModifier;
+            document.getElementById('minSelectionLength').value = result.minSelectionLength || this.defaultTriggerSettings.minSelectionLength;
+            document.getElementById('maxSelectionLength').value = result.maxSelectionLength || this.defaultTriggerSettings.maxSelectionLength;
+            document.getElementById('popupDock').value = result.popupDock || this.defaultTriggerSettings.popupDock;
+            this.updateTriggerForm();
             this.state.isPluginActive = result.isPluginActive || false; // Set plugin active status
             this.state.apiUrl = result.apiUrl || '';
             this.state.apiKey = result.apiKey || '';
-
+            this.loadLanguages(result.apiUrl || this.defaultApiUrl, result.sourceLanguage || 'auto', result.targetLanguage || 'en'); // Fill the language dropdowns
 
             this.updatePluginButton(); // Update the plugin status button
         });
+        this.loadCacheStats();
+        this.loadGlossary();
+        this.loadSiteRules();
+        this.loadCommands();
+    }
+
+    /**
+     * Lists the browser-wide commands with the shortcuts the browser assigned to them. Which command runs which
+     * in-page shortcut action is asked from the background worker, which runs the commands.
+     */
+    loadCommands() {
+        chrome.runtime.sendMessage({action: 'getCommandShortcuts'}, (response) => {
+            if (chrome.runtime.lastError || !response || !response.commandShortcuts) return;
+            this.commandShortcuts = response.commandShortcuts;
+            chrome.commands.getAll(commands => this.showCommands(commands));
+        });
+    }
+
+    /**
+     * Fills the command list and checks the in-page shortcuts against the browser-wide ones.
+     * @param {Object[]} commands - The commands from chrome.commands.getAll.
+     */
+    showCommands(commands) {
+        this.commands = commands.filter(command => this.commandShortcuts[command.name]);
+        const list = document.getElementById('commandList');
+        list.innerHTML = '';
+        this.commands.forEach(({description, shortcut}) => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = `${description}: ${shortcut || 'not set'}`;
+            item.appendChild(text);
+            list.appendChild(item);
+        });
+        this.checkShortcutConflicts();
+    }
+
+    /**
+     * Loads the languages supported by the API from the background worker and fills the language dropdowns.
+     * The target dropdown only lists the languages the server can translate the selected source into.
+     * @param {string} apiUrl - The API URL whose languages should be listed.
+     * @param {string} sourceLanguage - The source language code to select, or 'auto'.
+     * @param {string} targetLanguage - The target language code to select once the list is built.
+     */
+    loadLanguages(apiUrl, sourceLanguage, targetLanguage) {
+        chrome.runtime.sendMessage({
+            action: 'getLanguages',
+            apiUrl,
+            apiKey: document.getElementById('apiKey').value,
+            provider: document.getElementById('apiProvider').value,
+            source: sourceLanguage
+        }, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                console.warn('Error loading languages:', response?.error?.message || chrome.runtime.lastError?.message);
+                return;
+            }
+            const sourceSelect = document.getElementById('sourceLanguageSelect');
+            sourceSelect.innerHTML = '';
+            sourceSelect.appendChild(new Option('Auto-detect', 'auto'));
+            response.languages.forEach(({code, name}) => {
+                sourceSelect.appendChild(new Option(`${name} (${code})`, code));
+            });
+            sourceSelect.value = sourceLanguage;
+
+            const languageSelect = document.getElementById('languageSelect');
+            languageSelect.innerHTML = '';
+            response.targets.forEach(({code, name}) => {
+                languageSelect.appendChild(new Option(`${name} (${code})`, code));
+            });
+            if (!response.targets.some(language => language.code === targetLanguage)) {
+                languageSelect.appendChild(new Option(`${targetLanguage} (unsupported by this API)`, targetLanguage));
+            }
+            languageSelect.value = targetLanguage;
+        });
+    }
+
+    /**
+     * Fills the provider dropdown with the providers supported by the background worker.
+     * @param {string} selectedProvider - The provider to select.
+     */
+    loadProviders(selectedProvider) {
+        const providerSelect = document.getElementById('apiProvider');
+        if (![...providerSelect.options].some(option => option.value === selectedProvider)) {
+            providerSelect.appendChild(new Option(selectedProvider, selectedProvider));
+        }
+        providerSelect.value = selectedProvider; // Selected right away, the languages are loaded for it
+        chrome.runtime.sendMessage({action: 'getProviders'}, (response) => {
+            if (chrome.runtime.lastError || !response || !response.providers) return;
+            this.providers = response.providers;
+            providerSelect.innerHTML = '';
+            response.providers.forEach(({id, name}) => providerSelect.appendChild(new Option(name, id)));
+            providerSelect.value = selectedProvider;
+        });
+    }
+
+    /**
+     * Checks whether the selected provider needs an API key.
+     * @returns {boolean} True if the key must be filled in.
+     */
+    isApiKeyRequired() {
+        const provider = this.providers.find(({id}) => id === document.getElementById('apiProvider').value);
+        return provider ? provider.requiresKey : false;
+    }
+
+    /**
+     * Reloads the language dropdowns for the API URL and source language currently entered in the form.
+     */
+    reloadLanguages() {
+        this.loadLanguages(
+            document.getElementById('apiUrl').value,
+            document.getElementById('sourceLanguageSelect').value,
+            document.getElementById('languageSelect').value
+        );
+    }
+
+    /**
+     * Requests the translation cache statistics from the background worker and displays them.
+     */
+    loadCacheStats() {
+        chrome.runtime.sendMessage({action: 'getCacheStats'}, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                this.renderCacheStats(null);
+                return;
+            }
+            this.renderCacheStats(response.stats);
+        });
+    }
+
+    /**
+     * Renders the translation cache statistics.
+     * @param {Object|null} stats - The statistics reported by the background worker, or null if unavailable.
+     */
+    renderCacheStats(stats) {
+        const statsElement = document.getElementById('cacheStats');
+        if (!stats) {
+            statsElement.textContent = 'Cache statistics unavailable.';
+            return;
+        }
+        const sizeKb = (stats.bytes / 1024).toFixed(1);
+        statsElement.textContent = `${stats.entries} entries (${sizeKb} KB) · ${stats.hits} hits, ${stats.misses} misses (${stats.hitRate}% hit rate)`;
+    }
+
+    /**
+     * Clears the background translation cache after confirmation.
+     */
+    clearCache() {
+        if (!confirm('Clear all cached translations?')) {
+            return;
+        }
+        chrome.runtime.sendMessage({action: 'clearCache'}, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                alert(`Error clearing cache: ${response?.error?.message || chrome.runtime.lastError?.message || 'Unknown error'}`);
+                return;
+            }
+            this.renderCacheStats(response.stats);
+        });
+    }
+
+    /**
+     * Loads the glossary from Chrome's local storage and lists its entries.
+     */
+    loadGlossary() {
+        chrome.storage.local.get(['glossary'], (result) => {
+            this.glossary = result.glossary || [];
+            this.renderGlossary();
+        });
+    }
+
+    /**
+     * Lists the glossary entries, each with a button to remove it.
+     */
+    renderGlossary() {
+        const list = document.getElementById('glossaryList');
+        list.innerHTML = '';
+        this.glossary.forEach((entry, index) => {
+            const item = document.createElement('li');
+            const description = document.createElement('span');
+            if (entry.type === 'protected') {
+                description.textContent = `${entry.term} (never translated)`;
+            } else {
+                description.textContent = `${entry.term} → ${entry.translation} (${entry.sourceLanguage || 'any'} → ${entry.targetLanguage})`;
+            }
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => this.saveGlossary(this.glossary.filter((_, i) => i !== index)));
+            item.appendChild(description);
+            item.appendChild(removeButton);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows the translation and language fields only for forced translations.
+     */
+    updateGlossaryForm() {
+        document.getElementById('glossaryTranslationFields').hidden = document.getElementById('glossaryType').value === 'protected';
+    }
+
+    /**
+     * Adds the entry filled in the glossary form.
+     */
+    addGlossaryEntry() {
+        const entry = this.createGlossaryEntry({
+            type: document.getElementById('glossaryType').value,
+            term: document.getElementById('glossaryTerm').value,
+            translation: document.getElementById('glossaryTranslation').value,
+            sourceLanguage: document.getElementById('glossarySourceLanguage').value,
+            targetLanguage: document.getElementById('glossaryTargetLanguage').value || document.getElementById('languageSelect').value,
+        });
+        if (!entry) {
+            alert('Please fill in the term, and for a forced translation the translation and target language.');
+            return;
+        }
+        this.saveGlossary(this.mergeGlossaryEntries(this.glossary, [entry]), () => {
+            document.getElementById('glossaryTerm').value = '';
+            document.getElementById('glossaryTranslation').value = '';
+        });
+    }
+
+    /**
+     * Validates and normalizes a glossary entry.
+     * @param {Object} fields - The entry fields ({ type, term, translation, sourceLanguage, targetLanguage }).
+     * @returns {Object|null} The entry, or null if a required field is missing.
+     */
+    createGlossaryEntry({type, term, translation, sourceLanguage, targetLanguage}) {
+        const trimmedTerm = (term || '').trim();
+        if (!trimmedTerm) return null;
+        if (type === 'protected') {
+            return {type: 'protected', term: trimmedTerm};
+        }
+        const trimmedTranslation = (translation || '').trim();
+        const target = (targetLanguage || '').trim().toLowerCase();
+        if (!trimmedTranslation || !target) return null;
+        return {
+            type: 'term',
+            term: trimmedTerm,
+            translation: trimmedTranslation,
+            sourceLanguage: (sourceLanguage || '').trim().toLowerCase(),
+            targetLanguage: target,
+        };
+    }
+
+    /**
+     * Adds entries to a glossary, replacing existing entries for the same term and language pair.
+     * @param {Object[]} glossary - The current entries.
+     * @param {Object[]} entries - The entries to add.
+     * @returns {Object[]} The merged entries.
+     */
+    mergeGlossaryEntries(glossary, entries) {
+        const keyOf = entry => JSON.stringify([entry.type, entry.term.toLowerCase(), entry.sourceLanguage || '', entry.targetLanguage || '']);
+        const merged = new Map(glossary.map(entry => [keyOf(entry), entry]));
+        entries.forEach(entry => merged.set(keyOf(entry), entry));
+        return [...merged.values()];
+    }
+
+    /**
+     * Saves the glossary right away; the background worker picks it up for the next translation.
+     * @param {Object[]} glossary - The entries to save.
+     * @param {Function} [onSaved] - Called once the glossary is stored.
+     */
+    saveGlossary(glossary, onSaved) {
+        chrome.storage.local.set({glossary}, () => {
+            if (chrome.runtime.lastError) {
+                alert(`Error saving glossary: ${chrome.runtime.lastError.message}`);
+                return;
+            }
+            this.glossary = glossary;
+            this.renderGlossary();
+            if (onSaved) onSaved();
+        });
+    }
+
+    /**
+     * Downloads the glossary as CSV.
+     */
+    exportGlossary() {
+        const rows = this.glossary.map(entry => [entry.type, entry.term, entry.translation, entry.sourceLanguage, entry.targetLanguage]
+            .map(value => toCsvField(value))
+            .join(','));
+        const url = URL.createObjectURL(new Blob([[this.glossaryCsvColumns.join(','), ...rows].join('\r\n')], {type: 'text/csv;charset=utf-8'}));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'glossary.csv';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Imports glossary entries from a CSV file with the columns type, term, translation, source_language and
+     * target_language. Imported entries replace existing entries for the same term and language pair.
+     * @param {File} file - The CSV file.
+     */
+    async importGlossary(file) {
+        let rows;
+        try {
+            rows = this.parseCsv(await file.text());
+        } catch (error) {
+            alert(`Error reading glossary: ${error.message}`);
+            return;
+        }
+        if (rows.length > 0 && rows[0][0]?.trim().toLowerCase() === 'type') {
+            rows.shift(); // Header row
+        }
+        const entries = rows
+            .filter(row => row.some(cell => cell.trim()))
+            .map(row => row.map(cell => cell.replace(/^'(?=[=+\-@\t\r])/, ''))) // Undo the formula prefix added by exportGlossary
+            .map(([type, term, translation, sourceLanguage, targetLanguage]) => this.createGlossaryEntry({
+                type: (type || '').trim().toLowerCase(), term, translation, sourceLanguage, targetLanguage,
+            }));
+        const valid = entries.filter(Boolean);
+        this.saveGlossary(this.mergeGlossaryEntries(this.glossary, valid), () => {
+            const skipped = entries.length - valid.length;
+            alert(`Imported ${valid.length} glossary entries${skipped > 0 ? `, skipped ${skipped} incomplete rows` : ''}.`);
+        });
+    }
+
+    /**
+     * Parses CSV text into rows of cells. Quoted cells may contain commas, quotes ("") and line breaks.
+     * @param {string} text - The CSV text.
+     * @returns {string[][]} The rows.
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (quoted) {
+            throw new Error('Unterminated quoted value');
+        }
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Loads the site rules and the hostname of the active tab.
+     */
+    loadSiteRules() {
+        chrome.storage.local.get(['siteRules'], (result) => {
+            this.siteRules = result.siteRules || {};
+            this.renderSiteRules();
+        });
+        chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+            const url = tabs[0]?.url || '';
+            if (!/^https?:/.test(url)) return;
+            this.currentSite = new URL(url).hostname.toLowerCase();
+            document.getElementById('siteRuleHost').value = this.currentSite;
+            this.updateSiteToggleButton();
+        });
+    }
+
+    /**
+     * Finds the hostname whose rule applies to a site: the site itself or the closest parent domain with a rule.
+     * @param {string} hostname - The hostname of the site.
+     * @param {Object} [rules=this.siteRules] - The rules per hostname.
+     * @returns {string|null} The hostname the rule is saved for, or null if no rule applies.
+     */
+    findSiteRule(hostname, rules = this.siteRules) {
+        const labels = hostname.split('.');
+        for (let i = 0; i < labels.length; i++) {
+            const site = labels.slice(i).join('.');
+            if (rules[site]) return site;
+        }
+        return null;
+    }
+
+    /**
+     * Describes a site rule for the rule list.
+     * @param {Object} rule - The rule.
+     * @returns {string} The description.
+     */
+    describeSiteRule(rule) {
+        switch (rule.action) {
+            case 'off':
+                return 'always off';
+            case 'on':
+                return 'always on';
+            case 'language':
+                return `translate into ${rule.targetLanguage}`;
+            case 'endpoint':
+                return `use ${rule.apiUrl}`;
+            default:
+                return rule.action;
+        }
+    }
+
+    /**
+     * Lists the site rules, each with a button to remove it.
+     */
+    renderSiteRules() {
+        const list = document.getElementById('siteRuleList');
+        list.innerHTML = '';
+        Object.keys(this.siteRules).sort().forEach((site) => {
+            const item = document.createElement('li');
+            const description = document.createElement('span');
+            description.textContent = `${site}: ${this.describeSiteRule(this.siteRules[site])}`;
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                const rules = {...this.siteRules};
+                delete rules[site];
+                this.saveSiteRules(rules);
+            });
+            item.appendChild(description);
+            item.appendChild(removeButton);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Forgets the positions the translation popup was dragged to and the size it was resized to.
+     */
+    resetPopupLayout() {
+        chrome.storage.local.remove(['popupPositions', 'popupSize'], () => {
+            alert('Popup positions and size reset');
+        });
+    }
+
+    /**
+     * Shows the modifier key choice only for the 'modifier' trigger mode.
+     */
+    updateTriggerForm() {
+        const isModifierMode = document.getElementById('triggerMode').value === 'modifier';
+        document.getElementById('triggerModifierLabel').hidden = !isModifierMode;
+        document.getElementById('triggerModifier').hidden = !isModifierMode;
+    }
+
+    /**
+     * Shows the language or API choice needed by the selected rule action.
+     */
+    updateSiteRuleForm() {
+        const action = document.getElementById('siteRuleAction').value;
+        const languageSelect = document.getElementById('siteRuleLanguage');
+        const endpointSelect = document.getElementById('siteRuleEndpoint');
+        languageSelect.hidden = action !== 'language';
+        endpointSelect.hidden = action !== 'endpoint';
+        if (action === 'language') {
+            languageSelect.innerHTML = '';
+            [...document.getElementById('languageSelect').options].forEach((option) => {
+                languageSelect.appendChild(new Option(option.text, option.value));
+            });
+        }
+        if (action === 'endpoint') {
+            chrome.storage.local.get(['apiUrl', 'apiList'], (result) => {
+                const urls = [...new Set([result.apiUrl || this.defaultApiUrl, ...(result.apiList || []).map(api => api?.url)].filter(Boolean))];
+                endpointSelect.innerHTML = '';
+                urls.forEach(url => endpointSelect.appendChild(new Option(url, url)));
+            });
+        }
+    }
+
+    /**
+     * Adds the rule filled in the site rule form, replacing an existing rule for the same hostname.
+     */
+    addSiteRule() {
+        const input = document.getElementById('siteRuleHost').value.trim().toLowerCase().replace(/^\*\./, '');
+        let site = '';
+        try {
+            site = new URL(input.includes('://') ? input : `http://${input}`).hostname;
+        } catch (error) {
+            site = '';
+        }
+        const action = document.getElementById('siteRuleAction').value;
+        const rule = {action};
+        if (action === 'language') {
+            rule.targetLanguage = document.getElementById('siteRuleLanguage').value;
+        } else if (action === 'endpoint') {
+            rule.apiUrl = document.getElementById('siteRuleEndpoint').value;
+        }
+        if (!site || (action === 'language' && !rule.targetLanguage) || (action === 'endpoint' && !rule.apiUrl)) {
+            alert('Please enter a domain and choose the language or API for the rule.');
+            return;
+        }
+        this.saveSiteRules({...this.siteRules, [site]: rule});
+    }
+
+    /**
+     * Saves the site rules right away; open pages pick them up from storage.
+     * @param {Object} rules - The rules per hostname.
+     */
+    saveSiteRules(rules) {
+        chrome.storage.local.set({siteRules: rules}, () => {
+            if (chrome.runtime.lastError) {
+                alert(`Error saving site rules: ${chrome.runtime.lastError.message}`);
+                return;
+            }
+            this.siteRules = rules;
+            this.renderSiteRules();
+            this.updateSiteToggleButton();
+        });
+    }
+
+    /**
+     * Checks whether selections are translated on the active tab's site, taking its rule into account.
+     * @param {Object} [rules=this.siteRules] - The rules per hostname.
+     * @returns {boolean} True if the plugin is active there.
+     */
+    isActiveOnCurrentSite(rules = this.siteRules) {
+        const site = this.findSiteRule(this.currentSite, rules);
+        const action = site ? rules[site].action : null;
+        if (action === 'off') return false;
+        if (action === 'on') return true;
+        return this.state.isPluginActive;
+    }
+
+    /**
+     * Shows the quick toggle for the active tab's site.
+     */
+    updateSiteToggleButton() {
+        const button = document.getElementById('siteToggleButton');
+        button.hidden = !this.currentSite;
+        if (!this.currentSite) return;
+        button.textContent = `${this.isActiveOnCurrentSite() ? 'Turn off' : 'Turn on'} on ${this.currentSite}`;
+    }
+
+    /**
+     * Turns the plugin off on the active tab's site, or back on: an "always off" rule for the site is removed,
+     * and an "always on" rule is added if the plugin would still be inactive there.
+     */
+    toggleCurrentSite() {
+        if (!this.currentSite) return;
+        if (this.isActiveOnCurrentSite()) {
+            this.saveSiteRules({...this.siteRules, [this.currentSite]: {action: 'off'}});
+            return;
+        }
+        const rules = {...this.siteRules};
+        if (rules[this.currentSite]?.action === 'off') {
+            delete rules[this.currentSite];
+        }
+        if (!this.isActiveOnCurrentSite(rules)) {
+            rules[this.currentSite] = {action: 'on'};
+        }
+        this.saveSiteRules(rules);
     }
 
     /**
@@ -71,9 +698,35 @@ class PopupManager {
     setupEventListeners() {
         document.getElementById('saveButton').addEventListener('click', () => this.saveSettings());
         document.getElementById('togglePluginButton').addEventListener('click', () => this.togglePluginStatus());
-        document.getElementById('testConnectionButton').addEventListener('click', () => this.testConnection());
-        document.querySelectorAll('.shortcut-settings input').forEach((input) => {
-            input.addEventListener('input', () => this.updateShortcuts());
+        document.getElementById('testConnectionButton').addEventListener('click', () => this.runHealthCheck());
+        document.getElementById('clearCacheButton').addEventListener('click', () => this.clearCache());
+        document.getElementById('translatePageButton').addEventListener('click', () => this.translatePage());
+        document.getElementById('translateDocumentButton').addEventListener('click', () => this.openDocumentTranslator());
+        document.getElementById('historyButton').addEventListener('click', () => this.openHistory());
+        document.getElementById('phrasebookButton').addEventListener('click', () => this.openPhrasebook());
+        document.getElementById('glossaryType').addEventListener('change', () => this.updateGlossaryForm());
+        document.getElementById('siteRuleAction').addEventListener('change', () => this.updateSiteRuleForm());
+        document.getElementById('triggerMode').addEventListener('change', () => this.updateTriggerForm());
+        document.getElementById('resetPopupLayoutButton').addEventListener('click', () => this.resetPopupLayout());
+        document.getElementById('addSiteRuleButton').addEventListener('click', () => this.addSiteRule());
+        document.getElementById('siteToggleButton').addEventListener('click', () => this.toggleCurrentSite());
+        document.getElementById('addGlossaryEntryButton').addEventListener('click', () => this.addGlossaryEntry());
+        document.getElementById('exportGlossaryButton').addEventListener('click', () => this.exportGlossary());
+        document.getElementById('importGlossaryButton').addEventListener('click', () => document.getElementById('glossaryFileInput').click());
+        document.getElementById('glossaryFileInput').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importGlossary(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        document.getElementById('apiUrl').addEventListener('change', () => this.reloadLanguages());
+        document.getElementById('apiProvider').addEventListener('change', () => this.reloadLanguages());
+        document.getElementById('sourceLanguageSelect').addEventListener('change', () => this.reloadLanguages());
+        document.querySelectorAll('.shortcut-input').forEach((input) => {
+            input.addEventListener('keydown', (event) => this.captureShortcut(event, input));
+        });
+        document.getElementById('editCommandsButton').addEventListener('click', () => {
+            chrome.tabs.create({url: 'chrome://extensions/shortcuts'});
         });
     }
 
@@ -102,38 +755,102 @@ class PopupManager {
     }
 
     /**
-     * Updates the shortcut keys based on the user input in the settings panel.
+     * Records the combination pressed in a shortcut field. Tab keeps moving the focus, Backspace or Delete
+     * removes the shortcut, and keys pressed without Ctrl, Alt or Meta are ignored so typing is never captured.
+     * @param {KeyboardEvent} event - The keydown event of the field.
+     * @param {HTMLInputElement} input - The shortcut field.
+     */
+    captureShortcut(event, input) {
+        if (event.key === 'Tab') return;
+        event.preventDefault();
+        if ((event.key === 'Backspace' || event.key === 'Delete') && !event.ctrlKey && !event.altKey && !event.metaKey) {
+            input.value = '';
+        } else {
+            const shortcut = getShortcutFromEvent(event);
+            if (!shortcut) return;
+            input.value = shortcut;
+        }
+        this.updateShortcuts();
+    }
+
+    /**
+     * Updates the shortcuts from the shortcut fields and checks them for conflicts.
      */
     updateShortcuts() {
-        this.state.shortcuts.activate = document.getElementById('shortcutActivate').value.toUpperCase() || 'A';
-        this.state.shortcuts.deactivate = document.getElementById('shortcutDeactivate').value.toUpperCase() || 'K';
-        this.state.shortcuts.testConnection = document.getElementById('shortcutTestConnection').value.toUpperCase() || 'T';
-        this.state.shortcuts.toggle = document.getElementById('shortcutToggle').value.toUpperCase() || 'G';
+        document.querySelectorAll('.shortcut-input').forEach((input) => {
+            this.state.shortcuts[input.dataset.action] = input.value;
+        });
+        this.checkShortcutConflicts();
+    }
+
+    /**
+     * Marks shortcuts assigned to more than one action, and warns about shortcuts the browser already uses
+     * for a different browser-wide command.
+     * @returns {boolean} True if two actions share a shortcut.
+     */
+    checkShortcutConflicts() {
+        const inputs = [...document.querySelectorAll('.shortcut-input')];
+        const labelOf = input => document.querySelector(`label[for="${input.id}"]`).textContent.replace(/:$/, '');
+        const messages = [];
+        let hasConflict = false;
+        inputs.forEach((input) => {
+            const sharing = inputs.filter(other => other.value && other.value === input.value);
+            const conflict = sharing.length > 1;
+            input.classList.toggle('conflict', conflict);
+            if (conflict && sharing[0] === input) {
+                hasConflict = true;
+                messages.push(`${input.value} is used by ${sharing.map(labelOf).join(' and ')}.`);
+            }
+            const command = this.commands.find(({name, shortcut}) => {
+                return shortcut && this.normalizeShortcut(shortcut) === this.normalizeShortcut(input.value)
+                    && this.commandShortcuts[name] !== input.dataset.action;
+            });
+            if (input.value && command) {
+                messages.push(`${input.value} is the browser-wide shortcut for "${command.description}", which takes precedence.`);
+            }
+        });
+        const conflictsElement = document.getElementById('shortcutConflicts');
+        conflictsElement.hidden = messages.length === 0;
+        conflictsElement.textContent = messages.join(' ');
+        return hasConflict;
+    }
+
+    /**
+     * Normalizes a combination for comparison, so "Shift+Alt+P" and "Alt+Shift+P" match.
+     * @param {string} shortcut - The combination.
+     * @returns {string} The normalized combination.
+     */
+    normalizeShortcut(shortcut) {
+        return shortcut.toUpperCase().split('+').sort().join('+');
     }
 
     /**
-     * Sets up global keyboard shortcuts to control the plugin.
-     * Users can toggle the plugin, test the connection, or change the plugin status using the assigned keyboard shortcuts.
+     * Sets up the shortcuts inside the settings popup, where the content script does not run.
+     * Key presses in the shortcut fields are left to the shortcut capture.
      */
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (event) => {
-            if (event.altKey) {
-                switch (event.key.toUpperCase()) {
-                    case this.state.shortcuts.activate:
-                        this.togglePluginStatus(true);
-                        break;
-                    case this.state.shortcuts.deactivate:
-                        this.togglePluginStatus(false);
-                        break;
-                    case this.state.shortcuts.testConnection:
-                        this.testConnection();
-                        break;
-                    case this.state.shortcuts.toggle:
-                        this.togglePluginStatus();
-                        break;
-                    default:
-                        break;
-                }
+            if (event.target.classList?.contains('shortcut-input')) return;
+            const shortcut = getShortcutFromEvent(event);
+            if (!shortcut) return;
+            switch (Object.keys(this.state.shortcuts).find(action => this.state.shortcuts[action] === shortcut)) {
+                case 'activate':
+                    this.togglePluginStatus(true);
+                    break;
+                case 'deactivate':
+                    this.togglePluginStatus(false);
+                    break;
+                case 'testConnection':
+                    this.runHealthCheck();
+                    break;
+                case 'toggle':
+                    this.togglePluginStatus();
+                    break;
+                case 'translatePage':
+                    this.translatePage();
+                    break;
+                default:
+                    break;
             }
         });
     }
@@ -142,22 +859,58 @@ class PopupManager {
      * Saves the settings to Chrome's local storage, including target language, API URL, API key, and keyboard shortcuts.
      */
     saveSettings() {
+        const sourceLanguage = document.getElementById('sourceLanguageSelect').value;
         const selectedLanguage = document.getElementById('languageSelect').value;
         const apiUrl = document.getElementById('apiUrl').value;
         const apiKey = document.getElementById('apiKey').value;
+        const alternativesCount = parseInt(document.getElementById('alternativesCount').value, 10);
+        const requestTimeoutSeconds = parseInt(document.getElementById('requestTimeoutSeconds').value, 10);
+        const maxRetries = parseInt(document.getElementById('maxRetries').value, 10);
+        const rateLimitPerMinute = parseInt(document.getElementById('rateLimitPerMinute').value, 10);
+        const rateLimitBurst = parseInt(document.getElementById('rateLimitBurst').value, 10);
+        const batchCharLimit = parseInt(document.getElementById('batchCharLimit').value, 10);
+        const cacheMaxEntries = parseInt(document.getElementById('cacheMaxEntries').value, 10);
+        const cacheTtlHours = parseInt(document.getElementById('cacheTtlHours').value, 10);
+        const historyMaxEntries = parseInt(document.getElementById('historyMaxEntries').value, 10);
+        const minSelectionLength = parseInt(document.getElementById('minSelectionLength').value, 10);
+        const maxSelectionLength = parseInt(document.getElementById('maxSelectionLength').value, 10);
+
+        if (this.checkShortcutConflicts()) {
+            alert('Two actions share a keyboard shortcut. Please change one of them.');
+            return;
+        }
 
-        if (!apiUrl || !apiKey) {
-            alert('Please fill in both API URL and API Key fields.');
+        if (!apiUrl || (!apiKey && this.isApiKeyRequired())) {
+            alert(apiUrl ? 'This provider requires an API Key.' : 'Please fill in the API URL field.');
             return;
         }
 
         chrome.storage.local.set(
             {
+                sourceLanguage: sourceLanguage,
                 targetLanguage: selectedLanguage,
+                preserveFormatting: document.getElementById('preserveFormatting').checked,
+                alternativesCount: Math.max(0, Math.min(5, alternativesCount || 0)),
                 apiUrl: apiUrl,
                 apiKey: apiKey,
+                apiProvider: document.getElementById('apiProvider').value,
                 isPluginActive: this.state.isPluginActive,
                 shortcuts: this.state.shortcuts,
+                requestTimeoutSeconds: requestTimeoutSeconds > 0 ? requestTimeoutSeconds : this.defaultRequestSettings.requestTimeoutSeconds,
+                maxRetries: maxRetries >= 0 ? Math.min(5, maxRetries) : this.defaultRequestSettings.maxRetries,
+                rateLimitPerMinute: rateLimitPerMinute > 0 ? rateLimitPerMinute : this.defaultRateLimitSettings.rateLimitPerMinute,
+                rateLimitBurst: rateLimitBurst > 0 ? rateLimitBurst : this.defaultRateLimitSettings.rateLimitBurst,
+                batchCharLimit: batchCharLimit > 0 ? batchCharLimit : this.defaultRateLimitSettings.batchCharLimit,
+                cacheEnabled: document.getElementById('cacheEnabled').checked,
+                cacheMaxEntries: cacheMaxEntries > 0 ? cacheMaxEntries : this.defaultCacheSettings.cacheMaxEntries,
+                cacheTtlHours: cacheTtlHours > 0 ? cacheTtlHours : this.defaultCacheSettings.cacheTtlHours,
+                historyEnabled: document.getElementById('historyEnabled').checked,
+                historyMaxEntries: historyMaxEntries > 0 ? historyMaxEntries : this.defaultHistorySettings.historyMaxEntries,
+                triggerMode: document.getElementById('triggerMode').value,
+                triggerModifier: document.getElementById('triggerModifier').value,
+                minSelectionLength: minSelectionLength > 0 ? minSelectionLength : this.defaultTriggerSettings.minSelectionLength,
+                maxSelectionLength: maxSelectionLength > 0 ? maxSelectionLength : 0,
+                popupDock: document.getElementById('popupDock').value,
             },
             () => {
                 alert('Settings saved successfully');
@@ -177,77 +930,101 @@ class PopupManager {
         });
     }
 
+    /**
+     * Asks the content script of the active tab to translate the whole page, then closes the popup.
+     */
+    translatePage() {
+        chrome.tabs.query({active: true, currentWindow: true}, (tabs) => {
+            if (tabs.length === 0) return;
+            chrome.tabs.sendMessage(tabs[0].id, {action: 'translatePage'}, {frameId: 0}, () => {
+                if (chrome.runtime.lastError) {
+                    alert('This page cannot be translated. Reload it and try again.');
+                    return;
+                }
+                window.close();
+            });
+        });
+    }
+
+    /**
+     * Opens the document translation page in a new tab.
+     */
+    openDocumentTranslator() {
+        chrome.tabs.create({url: chrome.runtime.getURL('documents.html')});
+    }
+
+    /**
+     * Opens the translation history page in a new tab.
+     */
+    openHistory() {
+        chrome.tabs.create({url: chrome.runtime.getURL('history.html')});
+    }
+
+    /**
+     * Opens the phrasebook page in a new tab.
+     */
+    openPhrasebook() {
+        chrome.tabs.create({url: chrome.runtime.getURL('phrasebook.html')});
+    }
+
     /**
      * Updates the plugin status button to show whether the plugin is active or inactive.
      */
     updatePluginButton() {
         const statusButton = document.getElementById('togglePluginButton');
         statusButton.innerHTML = `Plugin Status: <strong>${this.state.isPluginActive ? 'Active' : 'Inactive'}</strong>`;
+        this.updateSiteToggleButton();
     }
 
     /**
-     * Tests the connection to the DeepL API using the configured API URL and API Key.
-     * Alerts the user whether the connection was successful or not.
+     * Runs the background health check on the API entered in the form and shows its report.
      */
-    async testConnection() {
+    runHealthCheck() {
         const apiUrl = document.getElementById('apiUrl').value;
-        const apiKey = document.getElementById('apiKey').value;
+        const reportElement = document.getElementById('healthReport');
 
-        if (!apiUrl || !apiKey) {
-            alert("Please enter both API URL and API Key to test connection.");
+        if (!apiUrl) {
+            alert("Please enter the API URL to test the connection.");
             return;
         }
 
-        try {
-            const testResult = await ApiTest.testConnection(apiUrl, apiKey); // Test the API connection
-            alert(testResult.success ? "Connection successful!" : `Connection failed: ${testResult.message}`);
-        } catch (error) {
-            alert(`Error testing connection: ${error.message}`);
-        }
+        reportElement.hidden = false;
+        reportElement.className = 'health-report';
+        reportElement.textContent = 'Checking API health...';
+        chrome.runtime.sendMessage({
+            action: 'healthCheck',
+            apiUrl,
+            apiKey: document.getElementById('apiKey').value,
+            provider: document.getElementById('apiProvider').value
+        }, (report) => {
+            if (chrome.runtime.lastError || !report) {
+                reportElement.className = 'health-report failed';
+                reportElement.textContent = `Error testing connection: ${chrome.runtime.lastError?.message || 'No response'}`;
+                return;
+            }
+            this.renderHealthReport(reportElement, report);
+        });
     }
-}
-
-/**
- * ApiTest is responsible for testing the connection to the DeepL API by sending a request to the translation endpoint.
- */
-class ApiTest {
 
     /**
-     * Tests the connection to the DeepL API by sending a sample translation request.
-     * Returns a success or failure message.
+     * Shows a health check report as a table of labelled values.
+     * @param {HTMLElement} reportElement - The element to fill.
+     * @param {Object} report - The report sent by the background worker ({ success, details: [{ label, value }] }).
      */
-    static async testConnection(apiUrl, apiKey) {
-        return fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/x-www-form-urlencoded',
-            },
-            body: new URLSearchParams({
-                q: 'Hello',
-                source: 'en',
-                api_key: apiKey,
-                target: 'es',
-                format: 'text'
-            }),
-        })
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`HTTP error! Status: ${response.status}`);
-                }
-                return response.json();
-            })
-            .then(data => {
-                if (data.translatedText) {
-                    const statusMessage = data.response?.status || 'Successfully';
-                    return {success: true, message: `Success ${statusMessage}`};
-                } else {
-                    return {success: false, message: data.error || 'Unknown API error'};
-                }
-            })
-            .catch(error => {
-                return {success: false, message: error.message};
-            });
+    renderHealthReport(reportElement, report) {
+        reportElement.className = `health-report ${report.success ? 'working' : 'failed'}`;
+        reportElement.innerHTML = '';
+        const table = document.createElement('table');
+        (report.details || []).forEach(({label, value}) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = value;
+        });
+        if (table.rows.length === 0) {
+            reportElement.textContent = report.message;
+            return;
+        }
+        reportElement.appendChild(table);
     }
 }
 
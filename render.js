@@ -21,35 +21,55 @@ class TranslationManager {
             apiKey: '', // API key for authentication
             isTranslationSent: false, // Tracks if a translation request is sent
             isPluginActive: false, // Indicates if the plugin is active
-            currentTargetLanguage: 'en', // Default target language for translation
+            currentSourceLanguage: 'auto', // Source language for translation, 'auto' to detect it
+            currentTargetLanguage: 'en', // Target language for translation on this page
+            defaultTargetLanguage: 'en', // Target language saved in the settings, used where no site rule sets one
+            siteRules: {}, // Rules per hostname ({ action: 'off' | 'on' | 'language' | 'endpoint', targetLanguage, apiUrl })
+            triggerMode: 'auto', // What translates a selection: 'auto', 'modifier', 'doubleClick', 'bubble' or 'shortcut'
+            triggerModifier: 'Alt', // Key held while selecting (or tapped after selecting) in 'modifier' mode
+            minSelectionLength: 1, // Shorter selections are not translated automatically
+            maxSelectionLength: 0, // Longer selections are not translated automatically, 0 for no limit
+            popupDock: 'selection', // Where translation popups open: 'selection', or a corner or side of the window
+            popupSize: null, // Size the translation popup was last resized to ({ width, height })
+            popupPositions: {}, // Position the translation popup was last dragged to, per hostname ({ left, top, dock })
+            preserveFormatting: false, // Translate selections as HTML, keeping links, emphasis and paragraphs
+            alternativesCount: 0, // Number of alternative translations to ask for, 0 to disable them
             shortcuts: {
-                activate: 'A', // Shortcut key to activate plugin
-                deactivate: 'K', // Shortcut key to deactivate plugin
-                testConnection: 'T', // Shortcut key to test API connection
-                toggle: 'G', // Shortcut key to toggle plugin status
+                activate: 'Alt+A', // Key combination to activate plugin
+                deactivate: 'Alt+K', // Key combination to deactivate plugin
+                testConnection: 'Alt+T', // Key combination to test API connection
+                toggle: 'Alt+G', // Key combination to toggle plugin status
+                translatePage: 'Alt+P', // Key combination to translate the whole page
+                translateSelection: '', // Key combination to translate the selection, none by default
             }
         };
         /**
-         * Available languages for translation with their codes and names.
-         * @type {Object}
+         * Target languages supported by the configured API, loaded from its /languages endpoint.
+         * @type {Array<{code: string, name: string}>}
          */
-        this.availableLanguages = {
-            en: 'English',
-            es: 'Spanish',
-            fr: 'French',
-            de: 'German',
-            it: 'Italian',
-            pt: 'Portuguese',
-            ru: 'Russian',
-            ja: 'Japanese',
-            zh: 'Chinese',
-            ar: 'Arabic'
-        };
+        this.availableLanguages = [];
+        /**
+         * Every language supported by the configured API, offered as source languages.
+         * @type {Array<{code: string, name: string}>}
+         */
+        this.sourceLanguages = [];
         this.rateLimitPopup = null; // Reference to rate limit popup element
         this.rateLimitMessageDiv = null; // Reference to rate limit message div
         this.rateLimitInfoDiv = null; // Reference to rate limit info div
         this.rateLimitCloseBtn = null; // Reference to rate limit close button
         this.rateLimitTimeout = null; // Timeout for rate limit popup
+        this.queuedRequests = new Map(); // Queue positions of translation requests waiting for a rate limit slot
+        this.isSubscribedToRateLimit = false; // Whether the background worker sends rate limit updates to this page
+        this.contextMenuTarget = null; // Element the context menu was last opened on
+        this.translateBubble = null; // "Translate" button shown next to the selection in 'bubble' mode
+        this.triggerModifiers = { // Modifier names of the trigger setting: the event flag and the key name
+            Alt: { flag: 'altKey', key: 'Alt' },
+            Ctrl: { flag: 'ctrlKey', key: 'Control' },
+            Shift: { flag: 'shiftKey', key: 'Shift' },
+            Meta: { flag: 'metaKey', key: 'Meta' },
+        };
+        this.ui = new PluginUi(); // Closed shadow root holding the popups, toasts and toolbars shown on the page
+        this.pageTranslator = new PageTranslator(this); // Full-page translation mode
         this.init(); // Initialize the manager
     }
 
@@ -66,9 +86,22 @@ class TranslationManager {
      * Loads saved state from chrome.storage.local.
      */
     loadState() {
-        chrome.storage.local.get(['isPluginActive', 'targetLanguage', 'shortcuts'], (result) => {
+        chrome.storage.local.get(['isPluginActive', 'sourceLanguage', 'targetLanguage', 'shortcuts', 'preserveFormatting', 'alternativesCount', 'siteRules',
+            'triggerMode', 'triggerModifier', 'minSelectionLength', 'maxSelectionLength', 'popupDock', 'popupSize', 'popupPositions'], (result) => {
             this.state.isPluginActive = result.isPluginActive || false;
-            this.state.currentTargetLanguage = result.targetLanguage || 'en';
+            this.state.alternativesCount = result.alternativesCount || 0;
+            this.state.preserveFormatting = result.preserveFormatting || false;
+            this.state.currentSourceLanguage = result.sourceLanguage || 'auto';
+            this.state.defaultTargetLanguage = result.targetLanguage || 'en';
+            this.state.siteRules = result.siteRules || {};
+            this.updateTargetLanguage();
+            this.state.triggerMode = result.triggerMode || 'auto';
+            this.state.triggerModifier = result.triggerModifier || 'Alt';
+            this.state.minSelectionLength = result.minSelectionLength || 1;
+            this.state.maxSelectionLength = result.maxSelectionLength || 0;
+            this.state.popupDock = result.popupDock || 'selection';
+            this.state.popupSize = result.popupSize || null;
+            this.state.popupPositions = result.popupPositions || {};
             if (result.shortcuts) {
                 this.state.shortcuts = { ...this.state.shortcuts, ...result.shortcuts };
             }
@@ -85,11 +118,32 @@ class TranslationManager {
     setupListeners() {
         document.addEventListener('selectionchange', () => {
             this.state.isTranslationSent = false; // Reset translation sent status
+            if (window.getSelection().isCollapsed) {
+                this.hideTranslateBubble();
+            }
+        });
+        document.addEventListener('mouseup', (e) => {
+            // Right clicks open the context menu, which has its own translate entries
+            if (e.button !== 0) return;
+            // Selecting text while editing a translation must not start a new translation
+            if (this.isInsidePluginUi(e.target)) return;
+            this.handleSelectionTrigger('mouseup', e);
+        });
+        document.addEventListener('keyup', (e) => {
+            if (this.isInsidePluginUi(e.target)) return;
+            this.handleSelectionTrigger('keyup', e);
         });
-        document.addEventListener('mouseup', () => this.handleTextSelection());
+        document.addEventListener('dblclick', (e) => {
+            if (this.isInsidePluginUi(e.target)) return;
+            this.handleSelectionTrigger('dblclick', e);
+        });
+        window.addEventListener('scroll', () => this.hideTranslateBubble(), { capture: true, passive: true });
+        document.addEventListener('contextmenu', (e) => {
+            this.contextMenuTarget = e.target;
+        }, true);
         chrome.storage.onChanged.addListener((changes) => this.handleStorageChanges(changes));
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-            this.handleMessages(message);
+            this.handleMessages(message, sendResponse);
         });
     }
 
@@ -101,73 +155,476 @@ class TranslationManager {
         if (changes.isPluginActive) {
             this.state.isPluginActive = changes.isPluginActive.newValue;
         }
+        if (changes.alternativesCount) {
+            this.state.alternativesCount = changes.alternativesCount.newValue || 0;
+        }
+        if (changes.preserveFormatting) {
+            this.state.preserveFormatting = changes.preserveFormatting.newValue || false;
+        }
+        if (changes.sourceLanguage) {
+            this.state.currentSourceLanguage = changes.sourceLanguage.newValue || 'auto';
+        }
         if (changes.targetLanguage) {
-            this.state.currentTargetLanguage = changes.targetLanguage.newValue;
+            this.state.defaultTargetLanguage = changes.targetLanguage.newValue || 'en';
+            this.updateTargetLanguage();
+        }
+        if (changes.siteRules) {
+            this.state.siteRules = changes.siteRules.newValue || {};
+            this.updateTargetLanguage();
+        }
+        if (changes.triggerMode) {
+            this.state.triggerMode = changes.triggerMode.newValue || 'auto';
+            this.hideTranslateBubble();
+        }
+        if (changes.triggerModifier) {
+            this.state.triggerModifier = changes.triggerModifier.newValue || 'Alt';
+        }
+        if (changes.minSelectionLength) {
+            this.state.minSelectionLength = changes.minSelectionLength.newValue || 1;
+        }
+        if (changes.maxSelectionLength) {
+            this.state.maxSelectionLength = changes.maxSelectionLength.newValue || 0;
+        }
+        if (changes.popupDock) {
+            this.state.popupDock = changes.popupDock.newValue || 'selection';
+        }
+        if (changes.popupSize) {
+            this.state.popupSize = changes.popupSize.newValue || null;
+        }
+        if (changes.popupPositions) {
+            this.state.popupPositions = changes.popupPositions.newValue || {};
         }
         if (changes.shortcuts) {
             this.state.shortcuts = { ...this.state.shortcuts, ...changes.shortcuts.newValue };
         }
     }
 
+    /**
+     * Finds the rule for the current page's hostname. A rule for a domain also covers its subdomains;
+     * the most specific rule wins.
+     * @returns {Object|null} The rule with the hostname it was saved for ({ site, action, targetLanguage, apiUrl }).
+     */
+    getSiteRule() {
+        const labels = window.location.hostname.toLowerCase().split('.');
+        for (let i = 0; i < labels.length; i++) {
+            const site = labels.slice(i).join('.');
+            if (this.state.siteRules[site]) {
+                return { ...this.state.siteRules[site], site };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether selections on this page should be translated: site rules turning the plugin
+     * on or off take precedence over the global plugin status.
+     * @returns {boolean} True if the plugin is active on this site.
+     */
+    isActiveOnSite() {
+        const rule = this.getSiteRule();
+        if (rule?.action === 'off') return false;
+        if (rule?.action === 'on') return true;
+        return this.state.isPluginActive;
+    }
+
+    /**
+     * Uses the target language of this site's rule, or the one saved in the settings.
+     */
+    updateTargetLanguage() {
+        const rule = this.getSiteRule();
+        this.state.currentTargetLanguage = rule?.action === 'language' && rule.targetLanguage
+            ? rule.targetLanguage
+            : this.state.defaultTargetLanguage;
+    }
+
     /**
      * Processes incoming messages from chrome.runtime.
      * @param {Object} message - The message object containing action and data.
+     * @param {Function} sendResponse - Function to acknowledge messages whose sender waits for an answer.
      */
-    handleMessages(message) {
+    handleMessages(message, sendResponse) {
         if (message.action === 'updatePluginStatus') {
             this.state.isPluginActive = message.isActive;
         } else if (message.action === 'showMessage') {
             this.showRateLimitPopup(message.message, message.type);
         } else if (message.action === 'rateLimitUpdate') {
             this.updateRateLimitInfo(message.remainingRequests, message.waitTime);
+        } else if (message.action === 'queueUpdate') {
+            this.updateQueueStatus(message.requestId, message.position, message.waitTime);
+        } else if (message.action === 'translatePage') {
+            this.pageTranslator.start();
+            sendResponse({ success: true });
+        } else if (message.action === 'runShortcut') {
+            this.runShortcutAction(message.shortcut);
+            sendResponse({ success: true });
+        } else if (message.action === 'translateSelection') {
+            this.translateSelection(message.text, message.targetLanguage);
+            sendResponse({ success: true });
+        } else if (message.action === 'translateElement') {
+            this.translateContextMenuTarget(message);
+            sendResponse({ success: true });
+        } else if (message.action === 'showHistoryEntry') {
+            this.showHistoryEntry(message.entry);
+            sendResponse({ success: true });
         }
     }
 
     /**
-     * Sets up keyboard shortcuts for plugin actions.
+     * Shows a translation from the history page in a popup, without translating it again.
+     * @param {Object} entry - The history entry ({ originalText, translatedText, detectedLanguage, format, endpoint }).
+     */
+    async showHistoryEntry(entry) {
+        try {
+            await this.loadLanguages(await this.getConfiguration(), this.state.currentSourceLanguage);
+        } catch (error) {
+            console.warn('Error loading languages:', error.message);
+        }
+        this.showTranslationPopup({
+            translatedText: entry.translatedText,
+            detectedLanguage: entry.detectedLanguage ? { language: entry.detectedLanguage } : null,
+            endpoint: entry.endpoint,
+        }, entry.originalText, entry.format || 'text');
+    }
+
+    /**
+     * Creates a unique identifier for a translation request, used to match queue updates.
+     * @returns {string} Request identifier.
+     */
+    createRequestId() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    /**
+     * Shows the queue position of translation requests waiting for a rate limit slot.
+     * @param {string} requestId - Identifier of the queued request.
+     * @param {number} position - Position in the queue, 0 once the request has left it.
+     * @param {number} waitTime - Estimated seconds until the request is sent.
+     */
+    updateQueueStatus(requestId, position, waitTime) {
+        if (position > 0) {
+            this.queuedRequests.set(requestId, { position, waitTime });
+        } else {
+            this.queuedRequests.delete(requestId);
+        }
+        if (this.queuedRequests.size === 0) {
+            this.hideRateLimitPopup();
+            return;
+        }
+        const lines = [...this.queuedRequests.values()]
+            .sort((a, b) => a.position - b.position)
+            .map(entry => `Translation queued at position ${entry.position} (about ${entry.waitTime} seconds).`);
+        this.showRateLimitPopup(`Rate limit reached. ${lines.join(' ')}`, 'info');
+    }
+
+    /**
+     * Sets up the in-page keyboard shortcuts. Browser-wide commands reach the page as runShortcut messages instead.
      */
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (event) => {
-            if (event.altKey) {
-                switch (event.key.toUpperCase()) {
-                    case this.state.shortcuts.activate:
-                        this.togglePluginStatus(true);
-                        break;
-                    case this.state.shortcuts.deactivate:
-                        this.togglePluginStatus(false);
-                        break;
-                    case this.state.shortcuts.testConnection:
-                        event.preventDefault();
-                        const apiTestPopup = new ApiTestPopup();
-                        apiTestPopup.createApiTestListPopup();
-                        break;
-                    case this.state.shortcuts.toggle:
-                        this.togglePluginStatus();
-                        break;
+            const shortcut = getShortcutFromEvent(event);
+            if (!shortcut) return;
+            const action = Object.keys(this.state.shortcuts).find(name => this.state.shortcuts[name] === shortcut);
+            if (!action) return;
+            event.preventDefault();
+            this.runShortcutAction(action);
+        });
+    }
+
+    /**
+     * Runs the action bound to a shortcut.
+     * @param {string} action - The shortcut name: activate, deactivate, testConnection, toggle, translatePage or translateSelection.
+     */
+    runShortcutAction(action) {
+        switch (action) {
+            case 'activate':
+                this.togglePluginStatus(true);
+                break;
+            case 'deactivate':
+                this.togglePluginStatus(false);
+                break;
+            case 'testConnection':
+                new ApiTestPopup(this.ui).createApiTestListPopup();
+                break;
+            case 'toggle':
+                this.togglePluginStatus();
+                break;
+            case 'translatePage':
+                this.pageTranslator.start();
+                break;
+            case 'translateSelection':
+                this.translateSelection();
+                break;
+        }
+    }
+
+    /**
+     * Checks whether an event comes from the plugin's own popups or bubble, where selections are not translated.
+     * @param {EventTarget} target - The event target.
+     * @returns {boolean} True if the target is part of the plugin's UI.
+     */
+    isInsidePluginUi(target) {
+        return this.ui.contains(target);
+    }
+
+    /**
+     * Translates the selection, or offers the translate bubble, when a mouse or keyboard event matches the
+     * trigger mode. Keyboard selections end when Shift is released, or with Ctrl/Meta+A.
+     * In 'modifier' mode the key can be held while selecting with the mouse, or tapped once the selection is made.
+     * @param {string} source - The event type: 'mouseup', 'keyup' or 'dblclick'.
+     * @param {MouseEvent|KeyboardEvent} event - The event.
+     */
+    handleSelectionTrigger(source, event) {
+        const isKeyboardSelection = source === 'keyup'
+            && (event.key === 'Shift' || ((event.ctrlKey || event.metaKey) && event.code === 'KeyA'));
+        switch (this.state.triggerMode) {
+            case 'modifier': {
+                const modifier = this.triggerModifiers[this.state.triggerModifier] || this.triggerModifiers.Alt;
+                if ((source === 'mouseup' && event[modifier.flag]) || (source === 'keyup' && event.key === modifier.key)) {
+                    this.handleTextSelection();
                 }
+                break;
             }
-        });
+            case 'doubleClick':
+                if (source === 'dblclick') {
+                    this.handleTextSelection();
+                }
+                break;
+            case 'bubble':
+                if (source === 'mouseup' || isKeyboardSelection) {
+                    this.showTranslateBubble();
+                }
+                break;
+            case 'shortcut':
+                break; // Only the shortcuts and the context menu translate
+            default:
+                if (source === 'mouseup' || isKeyboardSelection) {
+                    this.handleTextSelection();
+                }
+        }
+    }
+
+    /**
+     * Checks a selection against the minimum and maximum lengths for automatic translation.
+     * @param {string} text - The selected text.
+     * @returns {boolean} True if the selection may be translated automatically.
+     */
+    isSelectionLengthAllowed(text) {
+        const { minSelectionLength, maxSelectionLength } = this.state;
+        return text.length >= minSelectionLength && (!maxSelectionLength || text.length <= maxSelectionLength);
     }
 
     /**
      * Handles text selection for translation when the plugin is active.
      */
     async handleTextSelection() {
-        if (!this.state.isPluginActive) return;
+        if (!this.isActiveOnSite()) return;
+        const selectedText = window.getSelection().toString().trim();
+        if (!selectedText || this.state.isTranslationSent || !this.isSelectionLengthAllowed(selectedText)) return;
+        this.state.isTranslationSent = true; // Several triggers can fire for one selection, e.g. mouseup then keyup
+        this.translateSelection();
+    }
+
+    /**
+     * Shows a small "Translate" button under the end of the selection; clicking it translates the selection.
+     */
+    showTranslateBubble() {
+        this.hideTranslateBubble();
+        if (!this.isActiveOnSite()) return;
+        const selection = window.getSelection();
+        const selectedText = selection.toString().trim();
+        if (!selectedText || selection.rangeCount === 0 || !this.isSelectionLengthAllowed(selectedText)) return;
+        const rect = selection.getRangeAt(selection.rangeCount - 1).getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) return;
+
+        const bubble = this.ui.createButton('Translate', 'bubble', 'Translate the selection');
+        Object.assign(bubble.style, {
+            left: `${Math.max(0, Math.min(rect.right - 40, window.innerWidth - 90))}px`,
+            top: `${Math.min(rect.bottom + 6, window.innerHeight - 30)}px`
+        });
+        bubble.addEventListener('mousedown', e => e.preventDefault()); // Keeps the selection
+        bubble.addEventListener('click', () => {
+            this.hideTranslateBubble();
+            this.translateSelection();
+        });
+        this.translateBubble = this.ui.append(bubble);
+    }
+
+    /**
+     * Removes the translate bubble, if shown.
+     */
+    hideTranslateBubble() {
+        if (this.translateBubble) {
+            this.translateBubble.remove();
+            this.translateBubble = null;
+        }
+    }
+
+    /**
+     * Translates the current selection, as HTML when formatting is preserved. Also used by the context menu,
+     * which works whether or not the plugin is active on the site.
+     * @param {string} [fallbackText=''] - Text to translate when the page has no selection any more,
+     *     such as the selection reported by the context menu.
+     * @param {string} [targetLanguage] - Target language chosen in the context menu; it stays the target language of
+     *     this page until the saved one changes.
+     */
+    async translateSelection(fallbackText = '', targetLanguage) {
         const selectedText = window.getSelection().toString().trim();
-        if (!selectedText || this.state.isTranslationSent) return;
+        if (!selectedText && !fallbackText.trim()) return;
+        try {
+            const config = await this.getConfiguration();
+            if (!config.apiUrl) {
+                this.createErrorPopup("Please configure the API URL in the settings.");
+                return;
+            }
+            if (targetLanguage) {
+                this.state.currentTargetLanguage = targetLanguage;
+                config.targetLanguage = targetLanguage;
+            }
+            if (!selectedText) {
+                this.sendTranslationRequest(fallbackText.trim(), config);
+                return;
+            }
+            const context = this.getSelectionContext();
+            const anchor = this.getSelectionRect();
+            if (this.state.preserveFormatting) {
+                this.sendTranslationRequest(this.getSelectionHtml() || selectedText, config, 'html', context, anchor);
+            } else {
+                this.sendTranslationRequest(selectedText, config, 'text', context, anchor);
+            }
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Translates the text of the link or the alt text of the image the context menu was opened on.
+     * @param {Object} message - The context menu message ({ linkUrl, srcUrl }); srcUrl is set for images.
+     */
+    async translateContextMenuTarget({ linkUrl, srcUrl }) {
+        const target = this.contextMenuTarget;
+        let text = '';
+        let element = null;
+        if (srcUrl) {
+            element = target?.closest?.('img') || [...document.images].find(img => img.currentSrc === srcUrl || img.src === srcUrl);
+            text = element ? element.alt || element.title : '';
+        } else {
+            element = target?.closest?.('a') || [...document.links].find(anchor => anchor.href === linkUrl);
+            text = element ? element.innerText : '';
+        }
+        if (!text || !text.trim()) {
+            this.showRateLimitPopup(srcUrl ? 'This image has no alt text to translate.' : 'This link has no text to translate.', 'error');
+            return;
+        }
         try {
             const config = await this.getConfiguration();
-            if (!config.apiUrl || !config.apiKey) {
-                this.createErrorPopup("Please configure the API URL and API Key in the settings.");
+            if (!config.apiUrl) {
+                this.createErrorPopup("Please configure the API URL in the settings.");
                 return;
             }
-            this.sendTranslationRequest(selectedText, config);
+            this.sendTranslationRequest(text.trim(), config, 'text', '', element.getBoundingClientRect());
         } catch (error) {
             this.handleError(error);
         }
     }
 
+    /**
+     * Returns the bounding rect of the current selection, which translation popups open next to.
+     * @returns {DOMRect|null} The rect, or null when nothing visible is selected.
+     */
+    getSelectionRect() {
+        const selection = window.getSelection();
+        if (selection.rangeCount === 0) return null;
+        const rect = selection.getRangeAt(0).getBoundingClientRect();
+        return rect.width === 0 && rect.height === 0 ? null : rect;
+    }
+
+    /**
+     * Serializes the current selection to HTML, keeping links, emphasis and line structure.
+     * @returns {string} The HTML of the selected ranges.
+     */
+    getSelectionHtml() {
+        const selection = window.getSelection();
+        const container = document.createElement('div');
+        for (let i = 0; i < selection.rangeCount; i++) {
+            container.appendChild(selection.getRangeAt(i).cloneContents());
+        }
+        return container.innerHTML.trim();
+    }
+
+    /**
+     * Returns the sentence around the current selection, read from the closest block element.
+     * Very long sentences are cut to a window around the selection.
+     * @returns {string} The sentence, or an empty string when it is no more than the selection itself.
+     */
+    getSelectionContext() {
+        const selection = window.getSelection();
+        if (selection.rangeCount === 0) return '';
+        const range = selection.getRangeAt(0);
+        let block = range.commonAncestorContainer;
+        if (block.nodeType !== Node.ELEMENT_NODE) block = block.parentElement;
+        while (block && block !== document.body && getComputedStyle(block).display.startsWith('inline')) {
+            block = block.parentElement;
+        }
+        if (!block) return '';
+
+        const text = block.textContent;
+        const before = document.createRange();
+        before.selectNodeContents(block);
+        before.setEnd(range.startContainer, range.startOffset);
+        const start = before.toString().length;
+        const end = start + range.toString().length;
+        const sentenceStart = text.slice(0, start).search(/[^.!?。！？]*$/);
+        const terminator = text.slice(end).search(/[.!?。！？]/);
+        const sentenceEnd = terminator === -1 ? text.length : end + terminator + 1;
+        const context = text.slice(Math.max(sentenceStart, start - 200), Math.min(sentenceEnd, end + 200))
+            .replace(/\s+/g, ' ')
+            .trim();
+        return context === range.toString().replace(/\s+/g, ' ').trim() ? '' : context;
+    }
+
+    /**
+     * Sanitizes translated HTML before it is shown: only formatting tags and http(s)/mailto links are kept,
+     * other elements are unwrapped to their text, and scripts, styles and embedded content are dropped.
+     * @param {string} html - The HTML returned by the translation API.
+     * @returns {DocumentFragment} The sanitized content.
+     */
+    sanitizeHtml(html) {
+        const allowedTags = ['A', 'B', 'STRONG', 'I', 'EM', 'U', 'S', 'SMALL', 'SUB', 'SUP', 'MARK', 'CODE', 'Q',
+            'BR', 'P', 'DIV', 'SPAN', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+        const droppedTags = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'SVG', 'MATH', 'FORM',
+            'INPUT', 'BUTTON', 'TEXTAREA', 'SELECT', 'LINK', 'META', 'IMG', 'VIDEO', 'AUDIO', 'CANVAS'];
+        const parsed = new DOMParser().parseFromString(html, 'text/html');
+        const sanitizeChildren = (source, target) => {
+            source.childNodes.forEach((node) => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    target.appendChild(document.createTextNode(node.nodeValue));
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                const tagName = node.tagName.toUpperCase();
+                if (droppedTags.includes(tagName)) return;
+                if (!allowedTags.includes(tagName)) {
+                    sanitizeChildren(node, target);
+                    return;
+                }
+                const element = document.createElement(tagName.toLowerCase());
+                if (tagName === 'A') {
+                    const href = node.getAttribute('href') || '';
+                    if (/^(https?:|mailto:)/i.test(href)) {
+                        element.href = href;
+                        element.target = '_blank';
+                        element.rel = 'noopener noreferrer';
+                    }
+                }
+                sanitizeChildren(node, element);
+                target.appendChild(element);
+            });
+        };
+        const fragment = document.createDocumentFragment();
+        sanitizeChildren(parsed.body, fragment);
+        return fragment;
+    }
+
     /**
      * Retrieves configuration from chrome.storage.local.
      * @returns {Promise<Object>} Configuration object.
@@ -176,15 +633,19 @@ class TranslationManager {
         return new Promise((resolve, reject) => {
             try {
                 chrome.storage.local.get(
-                    ['targetLanguage', 'apiUrl', 'apiKey', 'isPluginActive', 'shortcuts'],
+                    ['sourceLanguage', 'targetLanguage', 'apiUrl', 'apiKey', 'isPluginActive', 'shortcuts'],
                     (result) => {
                         if (chrome.runtime.lastError) {
                             reject(new Error("Error accessing storage: " + chrome.runtime.lastError.message));
                         } else {
+                            const rule = this.getSiteRule();
+                            const useSiteEndpoint = rule?.action === 'endpoint' && rule.apiUrl;
                             resolve({
+                                sourceLanguage: this.state?.currentSourceLanguage || result.sourceLanguage || 'auto',
                                 targetLanguage: this.state?.currentTargetLanguage || result.targetLanguage || 'en',
-                                apiUrl: result.apiUrl || '',
-                                apiKey: result.apiKey || '',
+                                apiUrl: useSiteEndpoint ? rule.apiUrl : result.apiUrl || '',
+                                // The background worker looks up the key saved for the site's endpoint
+                                apiKey: useSiteEndpoint ? undefined : result.apiKey || '',
                                 isPluginActive: result.isPluginActive,
                                 shortcuts: result.shortcuts,
                             });
@@ -197,195 +658,698 @@ class TranslationManager {
         });
     }
 
+    /**
+     * Sends a message to the background script and waits for its response.
+     * @param {Object} message - The message object containing action and data.
+     * @returns {Promise<Object>} The response of the background script.
+     */
+    sendRuntimeMessage(message) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+
     /**
      * Sends a translation request to the background script.
      * @param {string} text - Text to translate.
      * @param {Object} config - Configuration object.
+     * @param {string} [format='text'] - 'html' when the text is serialized markup.
+     * @param {string} [context=''] - The sentence around the selection, saved with the phrase.
+     * @param {DOMRect} [anchor=null] - Rect of the selection or element the popup opens next to.
      */
-    async sendTranslationRequest(text, config) {
+    async sendTranslationRequest(text, config, format = 'text', context = '', anchor = null) {
+        let popup = null;
         try {
-            const response = await new Promise((resolve, reject) => {
-                chrome.runtime.sendMessage({
-                    action: 'translate',
-                    text: text,
-                    targetLanguage: config.targetLanguage,
-                    apiUrl: config.apiUrl,
-                    apiKey: config.apiKey,
-                }, (response) => {
-                    if (chrome.runtime.lastError) {
-                        reject(new Error(chrome.runtime.lastError.message));
-                    } else {
-                        resolve(response);
-                    }
-                });
+            const languagesLoaded = this.loadLanguages(config, config.sourceLanguage);
+            const response = await this.translateOverPort({
+                requestId: this.createRequestId(),
+                text: text,
+                format: format,
+                alternatives: this.state.alternativesCount,
+                sourceLanguage: config.sourceLanguage,
+                targetLanguage: config.targetLanguage,
+                apiUrl: config.apiUrl,
+                apiKey: config.apiKey,
+            }, (update) => {
+                if (!popup) {
+                    popup = this.showTranslationPopup({ translatedText: '' }, text, format, context, anchor);
+                }
+                this.showPartialTranslation(popup, update);
             });
             if (response && response.translatedText) {
-                this.showTranslationPopup(response.translatedText, text);
+                await languagesLoaded;
+                if (popup) {
+                    this.populateLanguageSelectors(popup);
+                    this.updateTranslationResult(popup, response);
+                    this.keepPopupInViewport(popup); // The streamed text may have grown past the window's edge
+                } else {
+                    this.showTranslationPopup(response, text, format, context, anchor);
+                }
                 this.state.isTranslationSent = true;
             } else {
-                throw new Error(response?.error?.message || 'Unknown translation error');
+                throw this.createResponseError(response, 'Unknown translation error');
             }
         } catch (error) {
+            if (popup) {
+                this.closePopup(popup);
+            }
             this.handleError(error);
         }
     }
 
     /**
-     * Displays a popup with the translated text.
-     * @param {string} translatedText - Translated text to display.
-     * @param {string} originalText - Original selected text.
+     * Translates a text over a long-lived port to the background script, which splits texts longer than the
+     * server's character limit into chunks and reports each translated chunk as it arrives.
+     * @param {Object} message - The translation request (the fields of a 'translate' message).
+     * @param {Function} [onProgress] - Receives the { type: 'start', total } and { type: 'chunk', index, total,
+     *     translatedText } updates of a chunked translation.
+     * @returns {Promise<Object>} The complete translation result ({ translatedText, alternatives, detectedLanguage, endpoint }).
      */
-    showTranslationPopup(translatedText, originalText) {
-        const popup = this.createPopup(translatedText, originalText);
-        this.applyPopupStyles(popup);
-        const languageSelector = popup.querySelector('.language-selector');
-        languageSelector.addEventListener('change', async (e) => {
+    translateOverPort(message, onProgress) {
+        return new Promise((resolve, reject) => {
+            let port;
             try {
-                const newText = await this.retranslateText(popup, e.target.value);
-                popup.querySelector('p').textContent = newText;
-                this.resetPopupTimeout(popup);
+                port = chrome.runtime.connect({ name: 'translateStream' });
             } catch (error) {
-                popup.querySelector('p').textContent = 'Translation error: ' + error.message;
+                reject(error);
+                return;
             }
+            let isFinished = false;
+            port.onMessage.addListener((update) => {
+                if (update.type === 'start' || update.type === 'chunk') {
+                    if (onProgress) onProgress(update);
+                    return;
+                }
+                isFinished = true;
+                port.disconnect();
+                if (update.type === 'done') {
+                    resolve(update);
+                } else {
+                    reject(this.createResponseError(update, 'Unknown translation error'));
+                }
+            });
+            port.onDisconnect.addListener(() => {
+                if (!isFinished) {
+                    reject(new Error(chrome.runtime.lastError?.message || 'The translation was interrupted'));
+                }
+            });
+            port.postMessage({ action: 'translate', ...message });
         });
+    }
+
+    /**
+     * Shows the chunks of a long translation received so far, with the progress.
+     * @param {HTMLElement} popup - The translation popup.
+     * @param {Object} update - A 'start' or 'chunk' update from translateOverPort.
+     */
+    showPartialTranslation(popup, update) {
+        if (update.type === 'start') {
+            popup.partialChunks = [];
+        } else {
+            popup.partialChunks[update.index] = update.translatedText;
+            this.renderTranslationText(popup, popup.partialChunks.join(''));
+        }
+        const done = popup.partialChunks.filter(chunk => chunk !== undefined).length;
+        popup.querySelector('.detected-language').textContent = `Translating long selection... ${done}/${update.total} parts`;
+        this.resetPopupTimeout(popup);
+    }
+
+    /**
+     * Turns the error of a background response into an Error carrying the error type reported by the worker.
+     * @param {Object} [response] - The background response ({ error: { message, type } }).
+     * @param {string} fallbackMessage - The message to use when the response has none.
+     * @returns {Error} The error, with a type property such as 'timeout' or 'auth' when known.
+     */
+    createResponseError(response, fallbackMessage) {
+        const error = new Error(response?.error?.message || fallbackMessage);
+        error.type = response?.error?.type;
+        return error;
+    }
+
+    /**
+     * Loads the languages supported by the configured API from the background worker:
+     * every language as a possible source, and the targets available for the given source.
+     * Keeps the previously loaded lists if the request fails.
+     * @param {Object} config - Configuration object.
+     * @param {string} source - The source language code, or 'auto'.
+     * @returns {Promise<void>}
+     */
+    async loadLanguages(config, source) {
+        try {
+            const response = await this.sendRuntimeMessage({
+                action: 'getLanguages',
+                apiUrl: config.apiUrl,
+                source: source,
+            });
+            if (response && response.targets) {
+                this.sourceLanguages = response.languages.map(({ code, name }) => ({ code, name }));
+                this.availableLanguages = response.targets;
+            }
+        } catch (error) {
+            console.warn('Error loading languages:', error.message);
+        }
+    }
+
+    /**
+     * Returns the display name of a language code.
+     * @param {string} code - The language code.
+     * @returns {string} The language name, or the upper-cased code if unknown.
+     */
+    getLanguageName(code) {
+        const language = this.sourceLanguages.find(language => language.code === code);
+        return language ? language.name : code.toUpperCase();
+    }
+
+    /**
+     * Displays a popup with the translated text.
+     * @param {Object} result - Translation result from the background script
+     *     ({ translatedText, detectedLanguage, endpoint }).
+     * @param {string} originalText - Original selected text.
+     * @param {string} [format='text'] - 'html' when the texts are markup.
+     * @param {string} [context=''] - The sentence around the selection.
+     * @param {DOMRect} [anchor=null] - Rect of the selection or element the popup opens next to.
+     * @returns {HTMLElement} The popup.
+     */
+    showTranslationPopup(result, originalText, format = 'text', context = '', anchor = null) {
+        const popup = this.createPopup(originalText, format);
+        popup.dataset.context = context;
+        this.applyPopupStyles(popup);
+        this.updateTranslationResult(popup, result);
+        popup.querySelector('.source-language-selector').addEventListener('change', (e) => {
+            this.changeLanguages(popup, e.target.value, this.state.currentTargetLanguage);
+        });
+        popup.querySelector('.language-selector').addEventListener('change', (e) => {
+            this.changeLanguages(popup, this.state.currentSourceLanguage, e.target.value);
+        });
+        popup.querySelector('.swap-btn').addEventListener('click', () => this.swapLanguages(popup));
+        const translationText = popup.querySelector('.translation-text');
+        translationText.addEventListener('input', () => this.updateSuggestButton(popup));
+        translationText.addEventListener('focus', () => clearTimeout(popup.timeoutId));
+        translationText.addEventListener('blur', () => this.resetPopupTimeout(popup));
+        popup.querySelector('.suggest-btn').addEventListener('click', () => this.suggestCorrection(popup));
+        popup.querySelector('.save-btn').addEventListener('click', () => this.savePhrase(popup));
         const closeButton = popup.querySelector('.close-btn');
-        closeButton.addEventListener('click', () => popup.remove());
-        document.body.appendChild(popup);
+        closeButton.addEventListener('click', () => this.closePopup(popup));
+        this.ui.append(popup);
+        popup.dataset.renderedText = this.getEditedTranslation(popup); // innerText depends on layout once attached
+        this.positionPopup(popup, anchor);
         this.setPopupTimeout(popup);
+        return popup;
     }
 
     /**
      * Creates a translation popup element.
-     * @param {string} translatedText - Translated text to display.
      * @param {string} originalText - Original selected text.
+     * @param {string} format - 'html' when the texts are markup, 'text' otherwise.
      * @returns {HTMLElement} Popup element.
      */
-    createPopup(translatedText, originalText) {
-        const popup = document.createElement('div');
-        popup.className = 'translation-popup';
+    createPopup(originalText, format) {
+        const popup = this.ui.createPanel('translation-popup');
         popup.dataset.originalText = originalText;
+        popup.dataset.format = format;
         popup.innerHTML = `
             <div class="popup-content">
                 <div class="popup-header">
-                    <select class="language-selector">
-                        ${Object.entries(this.availableLanguages)
-            .map(([code, name]) =>
-                `<option value="${code}" ${code === this.state.currentTargetLanguage ? 'selected' : ''}>${name}</option>`)
-            .join('')}
-                    </select>
+                    <select class="source-language-selector" title="Source language"></select>
+                    <button class="swap-btn" title="Swap source and target languages">⇄</button>
+                    <select class="language-selector" title="Target language"></select>
                     <button class="close-btn">×</button>
                 </div>
-                <p>${translatedText}</p>
+                <div class="translation-text" title="Edit the translation to suggest a correction"></div>
+                <ul class="alternatives"></ul>
+                <div class="popup-actions">
+                    <button class="btn btn-outline save-btn" title="Save to the phrasebook">Save</button>
+                    <button class="btn btn-outline suggest-btn" disabled>Suggest correction</button>
+                </div>
+                <div class="detected-language"></div>
+                <div class="endpoint-info"></div>
             </div>
         `;
+        popup.querySelector('.translation-text').contentEditable = format === 'html' ? 'true' : 'plaintext-only';
+        this.populateLanguageSelectors(popup);
         return popup;
     }
 
     /**
-     * Applies styles to the translation popup, centering it and enabling dragging.
-     * @param {HTMLElement} popup - The popup element to style.
+     * Fills the source and target language selectors with the languages supported by the API.
+     * The selected languages are kept in the lists even when the API does not report them.
+     * @param {HTMLElement} popup - The translation popup.
+     */
+    populateLanguageSelectors(popup) {
+        const sourceSelector = popup.querySelector('.source-language-selector');
+        sourceSelector.innerHTML = '';
+        sourceSelector.appendChild(new Option('Auto-detect', 'auto', false, this.state.currentSourceLanguage === 'auto'));
+        this.fillLanguageOptions(sourceSelector, this.sourceLanguages, this.state.currentSourceLanguage);
+
+        const targetSelector = popup.querySelector('.language-selector');
+        targetSelector.innerHTML = '';
+        this.fillLanguageOptions(targetSelector, this.availableLanguages, this.state.currentTargetLanguage);
+    }
+
+    /**
+     * Appends language options to a select element.
+     * @param {HTMLSelectElement} selector - The select element to fill.
+     * @param {Array<{code: string, name: string}>} languages - The languages to list.
+     * @param {string} selectedLanguage - The language code to select.
+     */
+    fillLanguageOptions(selector, languages, selectedLanguage) {
+        const options = [...languages];
+        if (selectedLanguage !== 'auto' && !options.some(language => language.code === selectedLanguage)) {
+            options.unshift({ code: selectedLanguage, name: this.getLanguageName(selectedLanguage) });
+        }
+        options.forEach(({ code, name }) => {
+            selector.appendChild(new Option(name, code, false, code === selectedLanguage));
+        });
+    }
+
+    /**
+     * Shows a translation result in the popup: the text, its alternatives, the detected language and the
+     * answering endpoint.
+     * @param {HTMLElement} popup - The translation popup.
+     * @param {Object} result - Translation result ({ translatedText, alternatives, detectedLanguage, endpoint }).
+     */
+    updateTranslationResult(popup, result) {
+        this.renderTranslationText(popup, result.translatedText);
+        this.renderAlternatives(popup, result.alternatives || []);
+        popup.dataset.detectedLanguage = result.detectedLanguage?.language || '';
+        const detectedInfo = popup.querySelector('.detected-language');
+        if (this.state.currentSourceLanguage === 'auto' && result.detectedLanguage) {
+            const { language, confidence } = result.detectedLanguage;
+            const confidenceText = typeof confidence === 'number' ? ` (${Math.round(confidence)}% confidence)` : '';
+            detectedInfo.textContent = `Detected: ${this.getLanguageName(language)}${confidenceText}`;
+        } else {
+            detectedInfo.textContent = '';
+        }
+        this.updateEndpointInfo(popup, result.endpoint);
+        popup.dataset.endpoint = result.endpoint || '';
+        const saveButton = popup.querySelector('.save-btn');
+        saveButton.disabled = !result.translatedText;
+        saveButton.textContent = 'Save';
+        this.checkSuggestionSupport(popup);
+    }
+
+    /**
+     * Shows the main translation in the popup, as sanitized markup in HTML mode.
+     * @param {HTMLElement} popup - The translation popup.
+     * @param {string} translatedText - The translation to show.
+     */
+    renderTranslationText(popup, translatedText) {
+        const translationText = popup.querySelector('.translation-text');
+        popup.dataset.translatedText = translatedText;
+        if (popup.dataset.format === 'html') {
+            translationText.replaceChildren(this.sanitizeHtml(translatedText));
+        } else {
+            translationText.textContent = translatedText;
+        }
+        popup.dataset.renderedText = this.getEditedTranslation(popup);
+        this.updateSuggestButton(popup);
+    }
+
+    /**
+     * Reads the translation as currently shown in the popup, including the user's edits.
+     * @param {HTMLElement} popup - The translation popup.
+     * @returns {string} The markup in HTML mode, the plain text otherwise.
+     */
+    getEditedTranslation(popup) {
+        const translationText = popup.querySelector('.translation-text');
+        return popup.dataset.format === 'html' ? translationText.innerHTML.trim() : translationText.innerText.trim();
+    }
+
+    /**
+     * Enables the suggest button once the translation has been edited, unless the server disabled suggestions.
+     * @param {HTMLElement} popup - The translation popup.
+     */
+    updateSuggestButton(popup) {
+        const suggestButton = popup.querySelector('.suggest-btn');
+        if (popup.dataset.suggestionsDisabled === 'true') {
+            suggestButton.disabled = true;
+            suggestButton.title = 'Suggestions are disabled on this server';
+            return;
+        }
+        const edited = this.getEditedTranslation(popup);
+        suggestButton.disabled = !edited || edited === popup.dataset.renderedText;
+        suggestButton.title = suggestButton.disabled ? 'Edit the translation to suggest a correction' : '';
+        suggestButton.textContent = 'Suggest correction';
+    }
+
+    /**
+     * Asks the background worker whether the API that answered accepts suggestions, and updates the suggest button.
+     * The button stays available when the server settings cannot be loaded.
+     * @param {HTMLElement} popup - The translation popup.
+     */
+    async checkSuggestionSupport(popup) {
+        try {
+            const config = await this.getConfiguration();
+            const response = await this.sendRuntimeMessage({
+                action: 'getServerSettings',
+                apiUrl: popup.dataset.endpoint || config.apiUrl,
+            });
+            popup.dataset.suggestionsDisabled = String(response?.capabilities?.suggestions === false || response?.settings?.suggestions === false);
+        } catch (error) {
+            popup.dataset.suggestionsDisabled = 'false';
+        }
+        this.updateSuggestButton(popup);
+    }
+
+    /**
+     * Sends the edited translation to the server's /suggest endpoint as a correction of the original text.
+     * @param {HTMLElement} popup - The translation popup.
+     */
+    async suggestCorrection(popup) {
+        const suggestButton = popup.querySelector('.suggest-btn');
+        const sourceLanguage = this.state.currentSourceLanguage === 'auto'
+            ? popup.dataset.detectedLanguage
+            : this.state.currentSourceLanguage;
+        suggestButton.disabled = true;
+        suggestButton.textContent = 'Sending...';
+        try {
+            const config = await this.getConfiguration();
+            const response = await this.sendRuntimeMessage({
+                action: 'suggest',
+                originalText: popup.dataset.originalText,
+                suggestedText: this.getEditedTranslation(popup),
+                sourceLanguage: sourceLanguage,
+                targetLanguage: this.state.currentTargetLanguage,
+                endpoint: popup.dataset.endpoint,
+                apiUrl: config.apiUrl,
+                apiKey: config.apiKey,
+            });
+            if (!response || response.error) {
+                throw new Error(response?.error?.message || 'Unknown error');
+            }
+            popup.dataset.renderedText = this.getEditedTranslation(popup);
+            suggestButton.textContent = 'Suggestion sent';
+            suggestButton.title = 'Thank you for improving the translation';
+        } catch (error) {
+            suggestButton.disabled = false;
+            suggestButton.textContent = 'Suggest correction';
+            this.showRateLimitPopup('Error sending suggestion: ' + error.message, 'error');
+        }
+        this.resetPopupTimeout(popup);
+    }
+
+    /**
+     * Saves the original text and the translation as currently shown, with the sentence around the selection,
+     * to the phrasebook. Formatted selections are saved as plain text.
+     * @param {HTMLElement} popup - The translation popup.
+     */
+    async savePhrase(popup) {
+        const saveButton = popup.querySelector('.save-btn');
+        const originalText = popup.dataset.format === 'html'
+            ? new DOMParser().parseFromString(popup.dataset.originalText, 'text/html').body.textContent.trim()
+            : popup.dataset.originalText;
+        saveButton.disabled = true;
+        try {
+            const response = await this.sendRuntimeMessage({
+                action: 'addToPhrasebook',
+                phrase: {
+                    originalText: originalText,
+                    translatedText: popup.querySelector('.translation-text').innerText.trim(),
+                    context: popup.dataset.context || '',
+                    sourceLanguage: this.state.currentSourceLanguage === 'auto'
+                        ? popup.dataset.detectedLanguage
+                        : this.state.currentSourceLanguage,
+                    targetLanguage: this.state.currentTargetLanguage,
+                },
+            });
+            if (!response || response.error) {
+                throw new Error(response?.error?.message || 'Unknown error');
+            }
+            saveButton.textContent = 'Saved';
+        } catch (error) {
+            saveButton.disabled = false;
+            this.showRateLimitPopup('Error saving phrase: ' + error.message, 'error');
+        }
+        this.resetPopupTimeout(popup);
+    }
+
+    /**
+     * Lists the alternative translations under the main result.
+     * Clicking an alternative makes it the main result; its copy button copies it to the clipboard.
+     * @param {HTMLElement} popup - The translation popup.
+     * @param {string[]} alternatives - The alternative translations.
+     */
+    renderAlternatives(popup, alternatives) {
+        const list = popup.querySelector('.alternatives');
+        list.innerHTML = '';
+        list.hidden = alternatives.length === 0;
+        alternatives.forEach((alternative, index) => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.className = 'alternative-text';
+            text.textContent = alternative;
+            text.title = 'Use as main translation';
+            text.addEventListener('click', () => {
+                const remaining = [...alternatives];
+                remaining[index] = popup.dataset.translatedText;
+                this.renderTranslationText(popup, alternative);
+                this.renderAlternatives(popup, remaining);
+                this.resetPopupTimeout(popup);
+            });
+            const copyButton = this.ui.createButton('Copy', 'outline');
+            copyButton.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(alternative);
+                    copyButton.textContent = 'Copied';
+                } catch (error) {
+                    copyButton.textContent = 'Failed';
+                }
+                setTimeout(() => {
+                    copyButton.textContent = 'Copy';
+                }, 1500);
+            });
+            item.appendChild(text);
+            item.appendChild(copyButton);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Shows which API endpoint answered the translation.
+     * @param {HTMLElement} popup - The translation popup.
+     * @param {string} [endpoint] - URL of the API that answered the request.
+     */
+    updateEndpointInfo(popup, endpoint) {
+        const endpointInfo = popup.querySelector('.endpoint-info');
+        if (!endpoint) {
+            endpointInfo.textContent = '';
+            return;
+        }
+        let host = endpoint;
+        try {
+            host = new URL(endpoint).host;
+        } catch (error) {
+            // Keep the raw value when it is not a valid URL
+        }
+        endpointInfo.textContent = `via ${host}`;
+        endpointInfo.title = endpoint;
+    }
+
+    /**
+     * Places a translation popup that is attached to the page: where it was last dragged to on this site while the
+     * same docked position was chosen, else at the docked position chosen in the settings, else next to the anchor,
+     * below it or above it depending on the space left in the window. Popups without an anchor are centered.
+     * @param {HTMLElement} popup - The translation popup.
+     * @param {DOMRect} [anchor=null] - Rect of the selection or element the popup opens next to.
+     */
+    positionPopup(popup, anchor = null) {
+        const margin = 10;
+        const gap = 8;
+        const { width, height } = popup.getBoundingClientRect();
+        const maxLeft = window.innerWidth - width - margin;
+        const maxTop = window.innerHeight - height - margin;
+        const dock = this.state.popupDock;
+        // A position dragged to under another dock setting is ignored, so changing the setting takes effect
+        const savedPosition = this.state.popupPositions[location.hostname]?.dock === dock
+            ? this.state.popupPositions[location.hostname]
+            : null;
+        let left = (window.innerWidth - width) / 2;
+        let top = (window.innerHeight - height) / 2;
+
+        if (savedPosition) {
+            ({ left, top } = savedPosition);
+        } else if (dock !== 'selection') {
+            if (dock.includes('left')) left = margin;
+            if (dock.includes('right')) left = maxLeft;
+            if (dock.startsWith('top')) top = margin;
+            if (dock.startsWith('bottom')) top = maxTop;
+        } else if (anchor) {
+            left = anchor.left;
+            const spaceBelow = window.innerHeight - anchor.bottom - gap - margin;
+            const spaceAbove = anchor.top - gap - margin;
+            if (height <= spaceBelow || spaceBelow >= spaceAbove) {
+                top = anchor.bottom + gap;
+            } else {
+                top = anchor.top - gap - height;
+            }
+        }
+        Object.assign(popup.style, {
+            left: `${Math.max(margin, Math.min(left, maxLeft))}px`,
+            top: `${Math.max(margin, Math.min(top, maxTop))}px`
+        });
+    }
+
+    /**
+     * Moves a translation popup back inside the window, e.g. after its content grew.
+     * @param {HTMLElement} popup - The translation popup.
+     */
+    keepPopupInViewport(popup) {
+        const margin = 10;
+        const rect = popup.getBoundingClientRect();
+        Object.assign(popup.style, {
+            left: `${Math.max(margin, Math.min(rect.left, window.innerWidth - rect.width - margin))}px`,
+            top: `${Math.max(margin, Math.min(rect.top, window.innerHeight - rect.height - margin))}px`
+        });
+    }
+
+    /**
+     * Makes a translation popup resizable from its bottom right corner, and saves the size it is resized to so
+     * later popups open with it. The document only listens for the end of a resize while one is in progress.
+     * @param {HTMLElement} popup - The translation popup.
+     */
+    enableResizing(popup) {
+        const onMouseUp = () => {
+            popup.stopResizing();
+            const rect = popup.getBoundingClientRect();
+            const popupSize = { width: Math.round(rect.width), height: Math.round(rect.height) };
+            this.state.popupSize = popupSize;
+            chrome.storage.local.set({ popupSize });
+        };
+        popup.stopResizing = () => document.removeEventListener('mouseup', onMouseUp);
+        popup.addEventListener('mousedown', (e) => {
+            if (!this.ui.isOnResizeGrip(popup, e)) return;
+            const rect = popup.getBoundingClientRect();
+            // Fix the current size, so the size limits of a popup sized by its content no longer apply
+            Object.assign(popup.style, {
+                width: `${rect.width}px`,
+                height: `${rect.height}px`,
+                maxWidth: '90vw',
+                maxHeight: '90vh'
+            });
+            document.addEventListener('mouseup', onMouseUp);
+        });
+    }
+
+    /**
+     * Removes a translation popup, ending a resize still in progress.
+     * @param {HTMLElement} popup - The translation popup.
+     */
+    closePopup(popup) {
+        popup.stopResizing?.();
+        popup.remove();
+    }
+
+    /**
+     * Saves the position a translation popup was dragged to, used for the popups opened on this site from now on
+     * as long as the dock setting stays the same.
+     * @param {number} left - The popup's left edge, in pixels from the window's left edge.
+     * @param {number} top - The popup's top edge, in pixels from the window's top edge.
+     */
+    savePopupPosition(left, top) {
+        const popupPositions = { ...this.state.popupPositions, [location.hostname]: { left, top, dock: this.state.popupDock } };
+        this.state.popupPositions = popupPositions;
+        chrome.storage.local.set({ popupPositions });
+    }
+
+    /**
+     * Applies the size the translation popup was last resized to, and enables dragging and resizing.
+     * The popup is placed by positionPopup once attached.
+     * @param {HTMLElement} popup - The translation popup.
+     */
+    applyPopupStyles(popup) {
+        const { popupSize } = this.state;
+        if (popupSize) {
+            Object.assign(popup.style, {
+                width: `${popupSize.width}px`,
+                height: `${popupSize.height}px`,
+                maxWidth: '90vw'
+            });
+        }
+        this.ui.makeDraggable(popup, (left, top) => this.savePopupPosition(left, top));
+        this.enableResizing(popup);
+    }
+
+    /**
+     * Switches the popup to new source and target languages, saves them as the new defaults (the target language
+     * as the site's language when a site rule sets one) and retranslates.
+     * @param {HTMLElement} popup - The translation popup.
+     * @param {string} sourceLanguage - The new source language code, or 'auto'.
+     * @param {string} targetLanguage - The new target language code.
      */
-    applyPopupStyles(popup) {
-        Object.assign(popup.style, {
-            position: 'fixed',
-            left: '50%',
-            top: '50%',
-            transform: 'translate(-50%, -50%)',
-            backgroundColor: 'rgba(0, 0, 0, 0.8)',
-            color: '#fff',
-            padding: '20px',
-            borderRadius: '8px',
-            zIndex: '10000',
-            boxShadow: '0 4px 8px rgba(0, 0, 0, 0.3)',
-            minWidth: '250px',
-            maxWidth: '40%',
-            cursor: 'move'
-        });
-        const popupContent = popup.querySelector('.popup-content');
-        popupContent.style.position = 'relative';
-        const popupHeader = popup.querySelector('.popup-header');
-        Object.assign(popupHeader.style, {
-            display: 'flex',
-            justifyContent: 'space-between',
-            alignItems: 'center',
-            marginBottom: '10px'
-        });
-        const languageSelector = popup.querySelector('.language-selector');
-        Object.assign(languageSelector.style, {
-            padding: '5px',
-            borderRadius: '5px',
-            border: '1px solid #ccc',
-            background: '#f5f5f5',
-            color: '#333'
-        });
-        const closeButton = popup.querySelector('.close-btn');
-        Object.assign(closeButton.style, {
-            backgroundColor: 'transparent',
-            color: '#fff',
-            border: 'none',
-            fontSize: '24px',
-            lineHeight: '20px',
-            cursor: 'pointer',
-            padding: '0 5px',
-            fontWeight: 'bold',
-            borderRadius: '50%',
-            width: '24px',
-            height: '24px',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center'
-        });
-        closeButton.addEventListener('mouseover', () => {
-            closeButton.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
-        });
-        closeButton.addEventListener('mouseout', () => {
-            closeButton.style.backgroundColor = 'transparent';
-        });
-        const paragraph = popup.querySelector('p');
-        Object.assign(paragraph.style, {
-            margin: '0',
-            fontSize: '16px',
-            lineHeight: '1.5',
-            wordBreak: 'break-word'
+    async changeLanguages(popup, sourceLanguage, targetLanguage) {
+        const sourceChanged = sourceLanguage !== this.state.currentSourceLanguage;
+        this.state.currentSourceLanguage = sourceLanguage;
+        this.state.currentTargetLanguage = targetLanguage;
+        const rule = this.getSiteRule();
+        const preferences = { sourceLanguage, targetLanguage };
+        if (rule?.action === 'language') {
+            // The target language chosen on a site with its own language becomes that site's language
+            const { site, ...siteRule } = rule;
+            delete preferences.targetLanguage;
+            preferences.siteRules = { ...this.state.siteRules, [site]: { ...siteRule, targetLanguage } };
+        }
+        chrome.storage.local.set(preferences, () => {
+            if (chrome.runtime.lastError) {
+                console.warn('Error saving language preference:', chrome.runtime.lastError.message);
+            }
         });
-        this.enableDragging(popup, closeButton);
+        try {
+            if (sourceChanged) {
+                await this.loadLanguages(await this.getConfiguration(), sourceLanguage);
+                this.populateLanguageSelectors(popup);
+            }
+            const result = await this.retranslateText(popup);
+            this.updateTranslationResult(popup, result);
+            this.resetPopupTimeout(popup);
+        } catch (error) {
+            popup.querySelector('.translation-text').textContent = 'Translation error: ' + error.message;
+        }
+    }
+
+    /**
+     * Swaps source and target languages, translating the current translation back.
+     * When the source language was detected automatically, the detected language becomes the target.
+     * @param {HTMLElement} popup - The translation popup.
+     */
+    swapLanguages(popup) {
+        const newTarget = this.state.currentSourceLanguage === 'auto'
+            ? popup.dataset.detectedLanguage
+            : this.state.currentSourceLanguage;
+        if (!newTarget) {
+            this.showRateLimitPopup('The source language is unknown, select it before swapping.', 'error');
+            return;
+        }
+        popup.dataset.originalText = popup.dataset.translatedText;
+        this.changeLanguages(popup, this.state.currentTargetLanguage, newTarget);
     }
 
     /**
-     * Retranslates the original text to a new language.
+     * Retranslates the popup's original text with the current source and target languages.
      * @param {HTMLElement} popup - The popup containing the original text.
-     * @param {string} newLanguage - The new target language code.
-     * @returns {Promise<string>} The translated text.
+     * @returns {Promise<Object>} The translation result ({ translatedText, detectedLanguage, endpoint }).
      */
-    async retranslateText(popup, newLanguage) {
-        const originalText = popup.dataset.originalText;
+    async retranslateText(popup) {
         const config = await this.getConfiguration();
-        config.targetLanguage = newLanguage;
-        this.state.currentTargetLanguage = newLanguage;
-        chrome.storage.local.set({ targetLanguage: newLanguage }, () => {
-            if (chrome.runtime.lastError) {
-                throw new Error("Error saving language preference: " + chrome.runtime.lastError.message);
-            }
-        });
-        const response = await new Promise((resolve, reject) => {
-            chrome.runtime.sendMessage({
-                action: 'translate',
-                text: originalText,
-                targetLanguage: newLanguage,
-                apiUrl: config.apiUrl,
-                apiKey: config.apiKey,
-            }, (response) => {
-                if (chrome.runtime.lastError) {
-                    reject(new Error(chrome.runtime.lastError.message));
-                } else {
-                    resolve(response);
-                }
-            });
-        });
+        const response = await this.translateOverPort({
+            requestId: this.createRequestId(),
+            text: popup.dataset.originalText,
+            format: popup.dataset.format,
+            alternatives: this.state.alternativesCount,
+            sourceLanguage: this.state.currentSourceLanguage,
+            targetLanguage: this.state.currentTargetLanguage,
+            apiUrl: config.apiUrl,
+            apiKey: config.apiKey,
+        }, update => this.showPartialTranslation(popup, update));
         if (response && response.translatedText) {
-            return response.translatedText;
+            return response;
         } else {
-            throw new Error(response?.error?.message || 'Unknown translation error');
+            throw this.createResponseError(response, 'Unknown translation error');
         }
     }
 
@@ -395,8 +1359,8 @@ class TranslationManager {
      */
     setPopupTimeout(popup) {
         popup.timeoutId = setTimeout(() => {
-            if (document.body.contains(popup)) {
-                popup.remove();
+            if (popup.isConnected) {
+                this.closePopup(popup);
             }
         }, 15000);
     }
@@ -412,13 +1376,35 @@ class TranslationManager {
 
     /**
      * Handles errors by displaying appropriate popups.
-     * @param {Error} error - The error object.
+     * Translation errors typed by the background worker get a message saying what to do about them.
+     * @param {Error} error - The error object, optionally with the type reported by the background worker.
      */
     handleError(error) {
         if (error.message.includes('Extension context invalidated') || error.message.includes('Could not establish connection')) {
             this.createErrorPopup("The extension has been updated or reloaded. Please refresh the page to continue using it.");
-        } else {
-            this.showRateLimitPopup("Error: " + error.message, 'error');
+            return;
+        }
+        switch (error.type) {
+            case 'network':
+                this.showRateLimitPopup("Could not reach the translation server. Check your internet connection and the API URL in the settings.", 'error');
+                break;
+            case 'timeout':
+                this.showRateLimitPopup("The translation server did not answer in time. Try again, or raise the request timeout in the settings.", 'error');
+                break;
+            case 'auth':
+                this.showRateLimitPopup(`The translation server rejected the API key. Check the API key in the settings. (${error.message})`, 'error');
+                break;
+            case 'rateLimited':
+                this.showRateLimitPopup("The translation server is limiting requests. Wait a moment, lower the requests per minute in the settings, or add another API in the API Test Manager (Alt + T).", 'error');
+                break;
+            case 'badRequest':
+                this.showRateLimitPopup(`The translation server refused the request. Check the API URL, the provider and the selected languages. (${error.message})`, 'error');
+                break;
+            case 'server':
+                this.showRateLimitPopup(`The translation server failed. Try again later, or add another API in the API Test Manager (Alt + T). (${error.message})`, 'error');
+                break;
+            default:
+                this.showRateLimitPopup("Error: " + error.message, 'error');
         }
     }
 
@@ -438,139 +1424,39 @@ class TranslationManager {
     }
 
     /**
-     * Creates a banner notification.
-     * @param {string} message - The message to display.
-     * @param {string} [backgroundColor='#ff0000'] - Background color of the banner.
-     * @param {string} [textColor='white'] - Text color of the banner.
-     */
-    createBanner(message, backgroundColor = '#ff0000', textColor = 'white') {
-        const banner = document.createElement('div');
-        banner.className = 'dynamic-banner';
-        Object.assign(banner.style, {
-            position: 'fixed',
-            top: '0',
-            left: '0',
-            right: '0',
-            backgroundColor: backgroundColor,
-            color: textColor,
-            padding: '10px',
-            textAlign: 'center',
-            zIndex: '10001',
-            fontFamily: 'Arial, sans-serif'
-        });
-        banner.textContent = message;
-        const closeButton = document.createElement('button');
-        closeButton.textContent = '×';
-        Object.assign(closeButton.style, {
-            marginLeft: '10px',
-            background: 'transparent',
-            border: 'none',
-            color: textColor,
-            fontSize: '20px',
-            cursor: 'pointer'
-        });
-        closeButton.addEventListener('click', () => banner.remove());
-        const refreshButton = document.createElement('button');
-        refreshButton.textContent = 'Refresh';
-        Object.assign(refreshButton.style, {
-            marginLeft: '10px',
-            padding: '5px 10px',
-            background: 'white',
-            color: backgroundColor,
-            border: 'none',
-            borderRadius: '3px',
-            cursor: 'pointer'
-        });
-        refreshButton.addEventListener('click', () => window.location.reload());
-        banner.appendChild(refreshButton);
-        banner.appendChild(closeButton);
-        document.body.appendChild(banner);
-        setTimeout(() => {
-            if (banner.parentElement) {
-                banner.remove();
-            }
-        }, 5000);
-    }
-
-    /**
-     * Creates a success notification banner.
+     * Shows a success notification at the top of the page.
      * @param {string} message - The success message to display.
      */
     createSuccessPopup(message) {
-        this.createBanner(message, '#28a745', 'white');
+        this.ui.showToast(message, { type: 'success' });
     }
 
     /**
-     * Creates an error notification banner.
+     * Shows an error notification at the top of the page, with a button reloading the page.
      * @param {string} message - The error message to display.
      */
     createErrorPopup(message) {
-        this.createBanner(message, '#ff0000', 'white');
+        this.ui.showToast(message, {
+            type: 'error',
+            actions: [{ label: 'Refresh', onClick: () => window.location.reload() }]
+        });
     }
 
     /**
-     * Creates a rate limit popup if it doesn't exist.
+     * Creates the draggable rate limit popup if it doesn't exist.
      */
     createRateLimitPopup() {
         if (this.rateLimitPopup) return;
-        this.rateLimitPopup = document.createElement('div');
-        this.rateLimitPopup.id = 'rate-limit-popup';
+        this.rateLimitPopup = this.ui.createPanel('rate-limit-popup');
         this.rateLimitMessageDiv = document.createElement('div');
-        this.rateLimitMessageDiv.id = 'rate-limit-message';
+        this.rateLimitMessageDiv.className = 'rate-limit-message';
         this.rateLimitInfoDiv = document.createElement('div');
-        this.rateLimitInfoDiv.id = 'rate-limit-info';
-        this.rateLimitCloseBtn = document.createElement('button');
-        this.rateLimitCloseBtn.textContent = '×';
+        this.rateLimitInfoDiv.className = 'rate-limit-info';
+        this.rateLimitCloseBtn = this.ui.createCloseButton(() => this.hideRateLimitPopup());
         this.rateLimitPopup.appendChild(this.rateLimitCloseBtn);
         this.rateLimitPopup.appendChild(this.rateLimitMessageDiv);
         this.rateLimitPopup.appendChild(this.rateLimitInfoDiv);
-        document.body.appendChild(this.rateLimitPopup);
-        this.applyRateLimitPopupStyles();
-        this.rateLimitCloseBtn.addEventListener('click', () => this.hideRateLimitPopup());
-    }
-
-    /**
-     * Applies styles to the rate limit popup, centering it and enabling dragging.
-     */
-    applyRateLimitPopupStyles() {
-        Object.assign(this.rateLimitPopup.style, {
-            position: 'fixed',
-            top: '50%',
-            left: '50%',
-            transform: 'translate(-50%, -50%)',
-            minHeight: '150px',
-            width: '350px',
-            backgroundColor: 'rgba(0, 0, 0, 0.8)',
-            color: '#ffffff',
-            fontFamily: 'Arial, sans-serif',
-            padding: '15px',
-            border: '1px solid #ffffff',
-            borderRadius: '5px',
-            zIndex: '10000',
-            display: 'none',
-            boxSizing: 'border-box',
-            cursor: 'move'
-        });
-        Object.assign(this.rateLimitMessageDiv.style, {
-            marginTop: '10px',
-            wordWrap: 'break-word'
-        });
-        Object.assign(this.rateLimitInfoDiv.style, {
-            marginTop: '10px',
-            fontSize: '14px'
-        });
-        Object.assign(this.rateLimitCloseBtn.style, {
-            position: 'absolute',
-            top: '5px',
-            right: '10px',
-            color: '#ffffff',
-            fontSize: '20px',
-            background: 'none',
-            border: 'none',
-            cursor: 'pointer',
-            padding: '0'
-        });
-        this.enableDragging(this.rateLimitPopup, this.rateLimitCloseBtn);
+        this.ui.makeDraggable(this.rateLimitPopup);
     }
 
     /**
@@ -581,9 +1467,30 @@ class TranslationManager {
     showRateLimitPopup(message, type) {
         this.createRateLimitPopup();
         this.rateLimitMessageDiv.textContent = message;
-        this.rateLimitPopup.style.display = 'block';
-        this.rateLimitPopup.style.borderColor = type === 'error' ? '#ff4444' : '#ffffff';
+        this.rateLimitPopup.hidden = false;
+        this.rateLimitPopup.classList.toggle('error', type === 'error');
         this.rateLimitInfoDiv.textContent = '';
+        this.ui.append(this.rateLimitPopup);
+        this.setRateLimitSubscription(true);
+    }
+
+    /**
+     * Asks the background worker to start or stop sending rate limit updates to this page.
+     * Updates are only needed while the rate limit popup is visible.
+     * @param {boolean} subscribe - True to receive updates, false to stop receiving them.
+     */
+    setRateLimitSubscription(subscribe) {
+        if (this.isSubscribedToRateLimit === subscribe) return;
+        this.isSubscribedToRateLimit = subscribe;
+        try {
+            chrome.runtime.sendMessage({ action: subscribe ? 'subscribeRateLimit' : 'unsubscribeRateLimit' }, () => {
+                if (chrome.runtime.lastError) {
+                    console.warn('Error updating rate limit subscription:', chrome.runtime.lastError.message);
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to update rate limit subscription:', error.message);
+        }
     }
 
     /**
@@ -591,9 +1498,10 @@ class TranslationManager {
      */
     hideRateLimitPopup() {
         if (this.rateLimitPopup) {
-            this.rateLimitPopup.style.display = 'none';
+            this.rateLimitPopup.hidden = true;
             this.rateLimitMessageDiv.textContent = '';
             this.rateLimitInfoDiv.textContent = '';
+            this.setRateLimitSubscription(false);
         }
         if (this.rateLimitTimeout) {
             clearTimeout(this.rateLimitTimeout);
@@ -607,7 +1515,7 @@ class TranslationManager {
      * @param {number|null} waitTime - Time to wait before more requests are available.
      */
     updateRateLimitInfo(remainingRequests, waitTime) {
-        if (!this.rateLimitPopup || this.rateLimitPopup.style.display !== 'block') return;
+        if (!this.rateLimitPopup || this.rateLimitPopup.hidden) return;
         if (waitTime !== null) {
             this.rateLimitInfoDiv.textContent = `Remaining requests: ${remainingRequests}. Wait ${waitTime} seconds.`;
             if (waitTime <= 0) {
@@ -617,59 +1525,278 @@ class TranslationManager {
             this.rateLimitInfoDiv.textContent = `Remaining requests: ${remainingRequests}.`;
         }
     }
+}
+
+
+/**
+ * Translates the whole page in place for the BPT-Pro-Libretranslate Chrome extension.
+ * Collects visible text nodes and the title, alt and placeholder attributes, translates them in batches
+ * through the background script, and keeps the originals so the page can be restored.
+ */
+class PageTranslator {
+    /**
+     * Initializes the PageTranslator.
+     * @param {TranslationManager} manager - The translation manager providing configuration and messaging.
+     */
+    constructor(manager) {
+        this.manager = manager; // Translation manager used for configuration, messaging and errors
+        this.segments = []; // Translatable segments: { node, attribute, original, translated }
+        this.isRunning = false; // Whether a page translation is in progress
+        this.isCancelled = false; // Set when the user cancels the running translation
+        this.isShowingOriginal = false; // Whether the original texts are currently displayed
+        this.toolbar = null; // Reference to the floating toolbar element
+        this.batchSize = 50; // Segments sent to the background script at once, packed there into API requests
+        this.translatableAttributes = ['title', 'alt', 'placeholder']; // Attributes translated along with the text
+        // The plugin's own UI lives in a shadow root, which the tree walker does not enter
+        this.excludedSelector = 'script, style, noscript, textarea, code, svg, iframe, [contenteditable="true"]';
+    }
+
+    /**
+     * Translates the page, or restores it first if it was already translated.
+     */
+    async start() {
+        if (this.isRunning) return;
+        this.restore();
+        let config;
+        try {
+            config = await this.manager.getConfiguration();
+        } catch (error) {
+            this.manager.handleError(error);
+            return;
+        }
+        if (!config.apiUrl) {
+            this.manager.createErrorPopup("Please configure the API URL in the settings.");
+            return;
+        }
+        this.segments = this.collectSegments();
+        if (this.segments.length === 0) {
+            this.manager.createErrorPopup('No text to translate was found on this page.');
+            return;
+        }
+        this.isRunning = true;
+        this.isCancelled = false;
+        this.isShowingOriginal = false;
+        this.lastError = null;
+        this.createToolbar();
+        await this.translateSegments(config);
+        this.isRunning = false;
+        this.updateToolbar();
+    }
+
+    /**
+     * Collects the visible text nodes and translatable attributes of the page.
+     * @returns {Array<Object>} Segments ({ node, attribute, original, translated }).
+     */
+    collectSegments() {
+        const segments = [];
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => this.isTranslatableText(node.nodeValue) && this.isVisible(node.parentElement)
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT
+        });
+        while (walker.nextNode()) {
+            segments.push({ node: walker.currentNode, attribute: null, original: walker.currentNode.nodeValue, translated: null });
+        }
+        const attributeSelector = this.translatableAttributes.map(attribute => `[${attribute}]`).join(', ');
+        document.body.querySelectorAll(attributeSelector).forEach((element) => {
+            if (element.closest(this.excludedSelector)) return;
+            this.translatableAttributes.forEach((attribute) => {
+                const value = element.getAttribute(attribute);
+                if (value && this.isTranslatableText(value)) {
+                    segments.push({ node: element, attribute, original: value, translated: null });
+                }
+            });
+        });
+        return segments;
+    }
 
     /**
-     * Enables dragging for a popup, constraining it within viewport margins.
-     * @param {HTMLElement} popup - The popup element to make draggable.
-     * @param {HTMLElement} closeButton - The close button to exclude from dragging.
+     * Checks whether a text contains something worth translating (not only whitespace, digits or symbols).
+     * @param {string} text - The text to check.
+     * @returns {boolean} True if the text contains letters.
      */
-    enableDragging(popup, closeButton) {
-        let isDragging = false;
-        let currentX = 0;
-        let currentY = 0;
-        let initialX;
-        let initialY;
+    isTranslatableText(text) {
+        return /\p{L}/u.test(text || '');
+    }
 
-        popup.addEventListener('mousedown', (e) => {
-            // Prevent dragging if clicking on close button, select element, or their descendants
-            if (e.target === closeButton || closeButton.contains(e.target) ||
-                e.target.tagName === 'SELECT' || e.target.closest('.language-selector')) {
-                return;
-            }
-            initialX = e.clientX - currentX;
-            initialY = e.clientY - currentY;
-            isDragging = true;
-            e.preventDefault();
+    /**
+     * Checks whether an element is rendered and not part of the excluded elements.
+     * @param {HTMLElement} element - The parent element of a text node.
+     * @returns {boolean} True if the element is visible and may be translated.
+     */
+    isVisible(element) {
+        if (!element || element.closest(this.excludedSelector)) return false;
+        if (element.getClientRects().length === 0) return false;
+        const style = window.getComputedStyle(element);
+        return style.visibility !== 'hidden' && style.display !== 'none';
+    }
+
+    /**
+     * Translates the collected segments batch by batch, updating the page and the toolbar progress.
+     * Identical texts are only translated once.
+     * @param {Object} config - Configuration object.
+     */
+    async translateSegments(config) {
+        const pending = new Map(); // Trimmed text -> segments sharing it
+        this.segments.forEach((segment) => {
+            const text = segment.original.trim();
+            if (!pending.has(text)) pending.set(text, []);
+            pending.get(text).push(segment);
         });
+        const texts = [...pending.keys()];
+        this.totalTexts = texts.length;
+        this.translatedTexts = 0;
+        this.updateToolbar();
+
+        for (let i = 0; i < texts.length && !this.isCancelled; i += this.batchSize) {
+            const batch = texts.slice(i, i + this.batchSize);
+            const results = await this.translateBatch(batch, config);
+            if (this.isCancelled) break;
+            batch.forEach((text, index) => {
+                if (results[index] === null) return;
+                pending.get(text).forEach((segment) => {
+                    segment.translated = this.keepSurroundingWhitespace(segment.original, results[index]);
+                    if (!this.isShowingOriginal) this.applySegment(segment, segment.translated);
+                });
+            });
+            this.translatedTexts += batch.length;
+            this.updateToolbar();
+        }
+    }
+
+    /**
+     * Sends a batch of texts to the background script for translation.
+     * @param {string[]} texts - The texts to translate.
+     * @param {Object} config - Configuration object.
+     * @returns {Promise<Array<string|null>>} The translations, null for texts that failed.
+     */
+    async translateBatch(texts, config) {
+        try {
+            const response = await this.manager.sendRuntimeMessage({
+                action: 'translateBatch',
+                texts,
+                sourceLanguage: config.sourceLanguage,
+                targetLanguage: config.targetLanguage,
+                apiUrl: config.apiUrl,
+                apiKey: config.apiKey,
+            });
+            if (!response || !response.results) {
+                throw this.manager.createResponseError(response, 'Unknown translation error');
+            }
+            return response.results.map((result) => {
+                if (result.translatedText) {
+                    return result.translatedText;
+                }
+                this.lastError = result.error?.message || 'Unknown translation error';
+                return null;
+            });
+        } catch (error) {
+            this.lastError = error.message;
+            return texts.map(() => null);
+        }
+    }
+
+    /**
+     * Restores the leading and trailing whitespace of the original text around its translation.
+     * @param {string} original - The original text.
+     * @param {string} translated - The translated text.
+     * @returns {string} The translated text with the original surrounding whitespace.
+     */
+    keepSurroundingWhitespace(original, translated) {
+        const leading = original.match(/^\s*/)[0];
+        const trailing = original.match(/\s*$/)[0];
+        return leading + translated.trim() + trailing;
+    }
+
+    /**
+     * Writes a value into the text node or attribute of a segment.
+     * @param {Object} segment - The segment to update.
+     * @param {string} value - The text to write.
+     */
+    applySegment(segment, value) {
+        if (segment.attribute) {
+            segment.node.setAttribute(segment.attribute, value);
+        } else {
+            segment.node.nodeValue = value;
+        }
+    }
 
-        document.addEventListener('mousemove', (e) => {
-            if (isDragging) {
-                e.preventDefault();
-                currentX = e.clientX - initialX;
-                currentY = e.clientY - initialY;
-
-                const popupRect = popup.getBoundingClientRect();
-                const margin = 10;
-                const maxX = window.innerWidth - popupRect.width - margin;
-                const maxY = window.innerHeight - popupRect.height - margin;
-                const minX = margin;
-                const minY = margin;
-
-                currentX = Math.max(minX, Math.min(currentX, maxX));
-                currentY = Math.max(minY, Math.min(currentY, maxY));
-
-                popup.style.left = `${currentX}px`;
-                popup.style.top = `${currentY}px`;
-                popup.style.transform = 'none';
+    /**
+     * Switches the page between the original texts and their translations.
+     */
+    toggleOriginal() {
+        this.isShowingOriginal = !this.isShowingOriginal;
+        this.segments.forEach((segment) => {
+            if (segment.translated !== null) {
+                this.applySegment(segment, this.isShowingOriginal ? segment.original : segment.translated);
             }
         });
+        this.updateToolbar();
+    }
+
+    /**
+     * Stops the running translation; segments translated so far are kept.
+     */
+    cancel() {
+        this.isCancelled = true;
+        this.updateToolbar();
+    }
 
-        document.addEventListener('mouseup', () => {
-            isDragging = false;
+    /**
+     * Cancels any running translation, puts the original texts back and removes the toolbar.
+     */
+    restore() {
+        this.isCancelled = true;
+        this.segments.forEach((segment) => {
+            if (segment.translated !== null) this.applySegment(segment, segment.original);
         });
+        this.segments = [];
+        if (this.toolbar) {
+            this.toolbar.remove();
+            this.toolbar = null;
+        }
+    }
+
+    /**
+     * Creates the floating toolbar with progress, cancel, show original and close controls.
+     */
+    createToolbar() {
+        this.toolbar = this.manager.ui.createPanel('page-translation-toolbar');
+        this.toolbar.innerHTML = `
+            <div class="toolbar-status"></div>
+            <div class="toolbar-progress"><div class="toolbar-progress-bar"></div></div>
+            <div class="toolbar-buttons">
+                <button class="btn btn-primary toolbar-cancel">Cancel</button>
+                <button class="btn btn-primary toolbar-original">Show original</button>
+                <button class="btn btn-primary toolbar-close">Restore &amp; close</button>
+            </div>
+        `;
+        this.toolbar.querySelector('.toolbar-cancel').addEventListener('click', () => this.cancel());
+        this.toolbar.querySelector('.toolbar-original').addEventListener('click', () => this.toggleOriginal());
+        this.toolbar.querySelector('.toolbar-close').addEventListener('click', () => this.restore());
+        this.manager.ui.append(this.toolbar);
     }
-}
 
+    /**
+     * Updates the toolbar status text, progress bar and buttons.
+     */
+    updateToolbar() {
+        if (!this.toolbar) return;
+        const total = this.totalTexts || 0;
+        const done = this.translatedTexts || 0;
+        let status = `Translating page... ${done}/${total}`;
+        if (this.isCancelled) {
+            status = `Translation cancelled (${done}/${total}).`;
+        } else if (!this.isRunning) {
+            status = this.lastError ? `Page translated with errors: ${this.lastError}` : 'Page translated.';
+        }
+        this.toolbar.querySelector('.toolbar-status').textContent = status;
+        this.toolbar.querySelector('.toolbar-progress-bar').style.width = `${total ? Math.round((done / total) * 100) : 0}%`;
+        const cancelButton = this.toolbar.querySelector('.toolbar-cancel');
+        cancelButton.disabled = !this.isRunning || this.isCancelled;
+        this.toolbar.querySelector('.toolbar-original').textContent = this.isShowingOriginal ? 'Show translation' : 'Show original';
+    }
+}
 
 /**
  * Manages the API test popup interface for the BPT-Pro-Libretranslate Chrome extension.
@@ -678,214 +1805,67 @@ class TranslationManager {
 class ApiTestPopup {
     /**
      * Initializes the ApiTestPopup with empty API list and test history.
+     * @param {PluginUi} ui - The UI layer the popup is shown in.
      */
-    constructor() {
+    constructor(ui) {
+        this.ui = ui; // Shadow root and shared components
         this.apiList = []; // List of API configurations
         this.testHistory = []; // History of API test results
-        this.loadFromCache(); // Load saved data from localStorage
+        this.providers = []; // Translation providers offered by the background worker
+        this.ready = Promise.all([this.loadFromCache(), this.loadProviders()]); // Load saved data and providers
     }
 
     /**
      * Creates and displays the API test popup with tabs for API list and test history, enabling dragging.
      */
     createApiTestListPopup() {
-        /**
-         * Create the main popup container
-         */
-        const popupContainer = document.createElement('div');
-        Object.assign(popupContainer.style, {
-            position: 'fixed',
-            top: '50%',
-            left: '50%',
-            transform: 'translate(-50%, -50%)',
-            backgroundColor: '#2d2d2d',
-            color: '#fff',
-            padding: '25px',
-            borderRadius: '12px',
-            boxShadow: '0 8px 20px rgba(0, 0, 0, 0.5)',
-            width: '500px',
-            maxHeight: '80vh',
-            overflowY: 'auto',
-            zIndex: '10000',
-            fontFamily: 'Arial, sans-serif',
-            display: 'flex',
-            flexDirection: 'column',
-            gap: '15px',
-            cursor: 'move'
-        });
-
-        /**
-         * Create and style the popup title
-         */
+        const popupContainer = this.ui.createPanel('api-test-popup');
+        const closeButton = this.ui.createCloseButton(() => popupContainer.remove());
         const title = document.createElement('h2');
         title.textContent = 'API Test Manager LibreTranslate';
-        Object.assign(title.style, {
-            margin: '0 0 10px 0',
-            textAlign: 'center',
-            color: '#fff',
-            fontSize: '24px',
-            fontWeight: 'bold'
-        });
-
-        /**
-         * Create and style the close button
-         */
-        const closeButton = document.createElement('button');
-        closeButton.textContent = '✕';
-        Object.assign(closeButton.style, {
-            position: 'absolute',
-            top: '15px',
-            right: '15px',
-            background: 'transparent',
-            color: '#aaa',
-            border: 'none',
-            fontSize: '18px',
-            cursor: 'pointer',
-            padding: '5px 10px',
-            borderRadius: '4px',
-            transition: 'all 0.2s'
-        });
-        closeButton.onmouseover = () => {
-            closeButton.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-            closeButton.style.color = '#fff';
-        };
-        closeButton.onmouseout = () => {
-            closeButton.style.backgroundColor = 'transparent';
-            closeButton.style.color = '#aaa';
-        };
-        closeButton.onclick = () => document.body.removeChild(popupContainer);
-
-        /**
-         * Create tabs container for switching between API list and history
-         */
-        const tabsContainer = document.createElement('div');
-        Object.assign(tabsContainer.style, {
-            display: 'flex',
-            borderBottom: '1px solid #444',
-            marginBottom: '15px'
-        });
-
-        /**
-         * Helper function to create a tab
-         * @param {string} name - Tab name
-         * @param {boolean} isActive - Whether the tab is active by default
-         * @returns {HTMLElement} Tab element
-         */
-        const createTab = (name, isActive = false) => {
-            const tab = document.createElement('div');
-            tab.textContent = name;
-            Object.assign(tab.style, {
-                padding: '10px 15px',
-                cursor: 'pointer',
-                borderBottom: isActive ? '2px solid #4c9aff' : '2px solid transparent',
-                color: isActive ? '4c9aff' : '#ccc',
-                transition: 'all 0.2s'
-            });
-            return tab;
-        };
-
-        const apiListTab = createTab('API List', true);
-        const historyTab = createTab('Test History');
-        const apiListContent = document.createElement('div');
-        const historyContent = document.createElement('div');
-        historyContent.style.display = 'none';
-
-        /**
-         * Handle API List tab click
-         */
-        apiListTab.onclick = () => {
-            apiListTab.style.borderBottom = '2px solid #4c9aff';
-            apiListTab.style.color = '#4c9aff';
-            historyTab.style.borderBottom = '2px solid transparent';
-            historyTab.style.color = '#ccc';
-            apiListContent.style.display = 'block';
-            historyContent.style.display = 'none';
-        };
-
-        /**
-         * Handle Test History tab click
-         */
-        historyTab.onclick = () => {
-            historyTab.style.borderBottom = '2px solid #4c9aff';
-            historyTab.style.color = '#4c9aff';
-            apiListTab.style.borderBottom = '2px solid transparent';
-            apiListTab.style.color = '#ccc';
-            historyContent.style.display = 'block';
-            apiListContent.style.display = 'none';
-            this.updateHistoryView(historyContent);
-        };
-
-        tabsContainer.appendChild(apiListTab);
-        tabsContainer.appendChild(historyTab);
 
         /**
          * Create form for adding new APIs
          */
         const formContainer = document.createElement('div');
-        Object.assign(formContainer.style, {
-            display: 'flex',
-            flexDirection: 'column',
-            gap: '10px',
-            backgroundColor: '#3a3a3a',
-            padding: '15px',
-            borderRadius: '8px',
-            marginBottom: '15px'
-        });
-
+        formContainer.className = 'api-form';
         const formTitle = document.createElement('h3');
         formTitle.textContent = 'Add New API';
-        Object.assign(formTitle.style, {
-            margin: '0',
-            fontSize: '16px',
-            fontWeight: 'normal',
-            color: '#eee'
-        });
-
-        const apiUrlInput = this.createStyledInput('API URL', 'https://translate.fedilab.app/translate');
-        const apiKeyInput = this.createStyledInput('API Key', 'your-api-key-here');
-
-        const addButton = document.createElement('button');
-        addButton.textContent = 'Add API';
-        Object.assign(addButton.style, {
-            padding: '10px',
-            backgroundColor: '#4c9aff',
-            color: 'white',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer',
-            fontSize: '14px',
-            fontWeight: 'bold',
-            transition: 'background-color 0.2s'
-        });
-        addButton.onmouseover = () => {
-            addButton.style.backgroundColor = '#3a87e0';
-        };
-        addButton.onmouseout = () => {
-            addButton.style.backgroundColor = '#4c9aff';
-        };
+        const provider = this.createProviderSelect();
+        const apiUrl = this.ui.createInput('API URL', 'https://translate.fedilab.app/translate');
+        const apiKey = this.ui.createInput('API Key', 'API key (optional for some providers)');
+        const rateLimit = this.ui.createInput('Requests per minute', 'Requests per minute (optional, default: global limit)', 'number');
+        rateLimit.input.min = '1';
+        const addButton = this.ui.createButton('Add API');
         addButton.onclick = () => {
-            const url = apiUrlInput.value.trim();
-            const key = apiKeyInput.value.trim();
-            if (url && key) {
-                this.apiList.push({ url, key });
+            const url = apiUrl.input.value.trim();
+            const key = apiKey.input.value.trim();
+            const requestsPerMinute = parseInt(rateLimit.input.value, 10);
+            if (url) {
+                this.apiList.push({ url, key, rateLimit: requestsPerMinute > 0 ? requestsPerMinute : null, provider: provider.select.value });
                 this.saveToCache();
-                apiUrlInput.value = '';
-                apiKeyInput.value = '';
+                apiUrl.input.value = '';
+                apiKey.input.value = '';
+                rateLimit.input.value = '';
                 this.updateApiList(apiListElement);
             }
         };
-
         formContainer.appendChild(formTitle);
-        formContainer.appendChild(apiUrlInput);
-        formContainer.appendChild(apiKeyInput);
+        formContainer.appendChild(provider.field);
+        formContainer.appendChild(apiUrl.field);
+        formContainer.appendChild(apiKey.field);
+        formContainer.appendChild(rateLimit.field);
         formContainer.appendChild(addButton);
 
+        const poolNote = document.createElement('div');
+        poolNote.className = 'pool-note';
+        poolNote.textContent = 'When the configured API times out, fails or is rate limited, these APIs are tried in order.';
+
         const apiListElement = document.createElement('div');
-        Object.assign(apiListElement.style, {
-            display: 'flex',
-            flexDirection: 'column',
-            gap: '10px'
-        });
+        apiListElement.className = 'api-list';
+        const apiListContent = document.createElement('div');
+        const historyContent = document.createElement('div');
+        historyContent.className = 'test-history';
 
         /**
          * Updates the API list display
@@ -894,64 +1874,36 @@ class ApiTestPopup {
         this.updateApiList = (listElement) => {
             listElement.innerHTML = '';
             if (this.apiList.length === 0) {
-                const emptyMessage = document.createElement('div');
-                emptyMessage.textContent = 'No APIs added yet. Add one above to get started.';
-                Object.assign(emptyMessage.style, {
-                    textAlign: 'center',
-                    color: '#aaa',
-                    padding: '20px'
-                });
-                listElement.appendChild(emptyMessage);
+                listElement.appendChild(this.createEmptyMessage('No APIs added yet. Add one above to get started.'));
                 return;
             }
             this.apiList.forEach((api, index) => {
-                if (!api || !api.url || !api.key) return;
+                if (!api || !api.url) return;
                 const apiCard = document.createElement('div');
-                Object.assign(apiCard.style, {
-                    backgroundColor: '#3a3a3a',
-                    borderRadius: '6px',
-                    padding: '15px',
-                    display: 'flex',
-                    flexDirection: 'column',
-                    gap: '10px'
-                });
+                apiCard.className = 'api-card';
                 const apiInfo = document.createElement('div');
-                Object.assign(apiInfo.style, {
-                    display: 'flex',
-                    flexDirection: 'column',
-                    gap: '5px'
-                });
-                const urlElement = document.createElement('div');
-                urlElement.innerHTML = `<strong>URL:</strong> <span style="word-break: break-all;">${api.url}</span>`;
-                const keyElement = document.createElement('div');
-                keyElement.innerHTML = `<strong>Key:</strong> <span style="word-break: break-all;">${this.maskApiKey(api.key)}</span>`;
-                apiInfo.appendChild(urlElement);
-                apiInfo.appendChild(keyElement);
+                apiInfo.className = 'api-info';
+                apiInfo.appendChild(this.createInfoLine(`#${index + 1} URL:`, api.url));
+                apiInfo.appendChild(this.createInfoLine('Key:', api.key ? this.maskApiKey(api.key) : 'None'));
+                apiInfo.appendChild(this.createInfoLine('Provider:', this.getProviderName(api.provider)));
+                apiInfo.appendChild(this.createInfoLine('Rate limit:', api.rateLimit ? `${api.rateLimit} requests/minute` : 'Global limit'));
                 const buttonsContainer = document.createElement('div');
-                Object.assign(buttonsContainer.style, {
-                    display: 'flex',
-                    gap: '10px',
-                    marginTop: '5px'
-                });
-                const testButton = this.createActionButton('Test', '#28a745');
+                buttonsContainer.className = 'api-card-buttons';
+                const testButton = this.ui.createButton('Test', 'success');
                 testButton.onclick = async () => {
                     const resultDiv = document.createElement('div');
-                    Object.assign(resultDiv.style, {
-                        marginTop: '10px',
-                        padding: '10px',
-                        borderRadius: '4px',
-                        backgroundColor: '#444'
-                    });
-                    resultDiv.textContent = '⏳ Testing connection...';
+                    resultDiv.className = 'test-result';
+                    resultDiv.textContent = '⏳ Checking API health...';
                     apiCard.appendChild(resultDiv);
                     let success = false;
                     let message = '';
                     try {
-                        const response = await new Promise((resolve, reject) => {
+                        const report = await new Promise((resolve, reject) => {
                             chrome.runtime.sendMessage({
-                                action: 'testConnection',
+                                action: 'healthCheck',
                                 apiUrl: api.url,
                                 apiKey: api.key,
+                                provider: api.provider,
                             }, (response) => {
                                 if (chrome.runtime.lastError) {
                                     reject(new Error(chrome.runtime.lastError.message));
@@ -960,18 +1912,14 @@ class ApiTestPopup {
                                 }
                             });
                         });
-                        if (response.success) {
-                            resultDiv.style.backgroundColor = '#1e462a';
-                            resultDiv.textContent = `✅ Success: ${api.url}`;
-                            success = true;
-                            message = `Success: ${api.url}`;
-                        } else {
-                            resultDiv.style.backgroundColor = '#4e2828';
-                            resultDiv.textContent = `❌ Error: ${response.message}`;
-                            message = `Error: ${response.message}`;
-                        }
+                        success = report.success;
+                        message = report.success
+                            ? `Working (${report.latency} ms): ${api.url}`
+                            : `Error: ${report.message}`;
+                        resultDiv.classList.add(success ? 'success' : 'failure');
+                        this.renderHealthReport(resultDiv, report);
                     } catch (error) {
-                        resultDiv.style.backgroundColor = '#4e2828';
+                        resultDiv.classList.add('failure');
                         resultDiv.textContent = `❌ Error: ${error.message || 'Unknown error'}`;
                         message = `Error: ${error.message || 'Unknown error'}`;
                     }
@@ -982,17 +1930,25 @@ class ApiTestPopup {
                         timestamp: Date.now(),
                     });
                     this.saveToCache();
-                    if (historyContent.style.display !== 'none') {
+                    if (!historyContent.hidden) {
                         this.updateHistoryView(historyContent);
                     }
                 };
-                const removeButton = this.createActionButton('Remove', '#dc3545');
+                const removeButton = this.ui.createButton('Remove', 'danger');
                 removeButton.onclick = () => {
                     this.apiList = this.apiList.filter((_, i) => i !== index);
                     this.saveToCache();
                     this.updateApiList(apiListElement);
                 };
+                const moveUpButton = this.ui.createButton('↑', 'secondary', 'Try this API earlier');
+                moveUpButton.disabled = index === 0;
+                moveUpButton.onclick = () => this.moveApi(index, -1, apiListElement);
+                const moveDownButton = this.ui.createButton('↓', 'secondary', 'Try this API later');
+                moveDownButton.disabled = index === this.apiList.length - 1;
+                moveDownButton.onclick = () => this.moveApi(index, 1, apiListElement);
                 buttonsContainer.appendChild(testButton);
+                buttonsContainer.appendChild(moveUpButton);
+                buttonsContainer.appendChild(moveDownButton);
                 buttonsContainer.appendChild(removeButton);
                 apiCard.appendChild(apiInfo);
                 apiCard.appendChild(buttonsContainer);
@@ -1007,28 +1963,10 @@ class ApiTestPopup {
         this.updateHistoryView = (historyContainer) => {
             historyContainer.innerHTML = '';
             if (this.testHistory.length === 0) {
-                const emptyMessage = document.createElement('div');
-                emptyMessage.textContent = 'No test history yet.';
-                Object.assign(emptyMessage.style, {
-                    textAlign: 'center',
-                    color: '#aaa',
-                    padding: '20px'
-                });
-                historyContainer.appendChild(emptyMessage);
+                historyContainer.appendChild(this.createEmptyMessage('No test history yet.'));
                 return;
             }
-            const clearButton = document.createElement('button');
-            clearButton.textContent = 'Clear History';
-            Object.assign(clearButton.style, {
-                padding: '8px 12px',
-                backgroundColor: '#6c757d',
-                color: 'white',
-                border: 'none',
-                borderRadius: '4px',
-                cursor: 'pointer',
-                alignSelf: 'flex-end',
-                marginBottom: '10px'
-            });
+            const clearButton = this.ui.createButton('Clear History', 'secondary');
             clearButton.onclick = () => {
                 this.testHistory = [];
                 this.saveToCache();
@@ -1036,108 +1974,124 @@ class ApiTestPopup {
             };
             historyContainer.appendChild(clearButton);
             const historyList = document.createElement('div');
-            Object.assign(historyList.style, {
-                display: 'flex',
-                flexDirection: 'column',
-                gap: '10px'
-            });
+            historyList.className = 'test-history-list';
             this.testHistory.forEach(entry => {
                 const entryElement = document.createElement('div');
-                Object.assign(entryElement.style, {
-                    backgroundColor: entry.success ? '#1e462a' : '#4e2828',
-                    borderRadius: '6px',
-                    padding: '12px'
-                });
-                const timestamp = new Date(entry.timestamp).toLocaleString();
-                const statusIcon = entry.success ? '✅' : '❌';
-                entryElement.innerHTML = `
-                    <div><strong>${statusIcon} ${entry.url}</strong></div>
-                    <div style="margin-top: 5px; font-size: 14px;">${entry.message}</div>
-                    <div style="margin-top: 8px; font-size: 12px; color: #aaa;">${timestamp}</div>
-                `;
+                entryElement.className = `test-history-entry ${entry.success ? 'success' : 'failure'}`;
+                const url = document.createElement('strong');
+                url.textContent = `${entry.success ? '✅' : '❌'} ${entry.url}`;
+                const message = document.createElement('div');
+                message.className = 'test-history-message';
+                message.textContent = entry.message;
+                const timestamp = document.createElement('div');
+                timestamp.className = 'test-history-time';
+                timestamp.textContent = new Date(entry.timestamp).toLocaleString();
+                entryElement.appendChild(url);
+                entryElement.appendChild(message);
+                entryElement.appendChild(timestamp);
                 historyList.appendChild(entryElement);
             });
             historyContainer.appendChild(historyList);
         };
 
         apiListContent.appendChild(formContainer);
+        apiListContent.appendChild(poolNote);
         apiListContent.appendChild(apiListElement);
         popupContainer.appendChild(closeButton);
         popupContainer.appendChild(title);
-        popupContainer.appendChild(tabsContainer);
-        popupContainer.appendChild(apiListContent);
-        popupContainer.appendChild(historyContent);
-        this.updateApiList(apiListElement);
-        document.body.appendChild(popupContainer);
-        // Enable dragging for the API test popup
-        this.enableDragging(popupContainer, closeButton);
+        popupContainer.appendChild(this.ui.createTabs([
+            { name: 'API List', content: apiListContent },
+            { name: 'Test History', content: historyContent, onShow: () => this.updateHistoryView(historyContent) },
+        ]));
+        this.ready.then(() => this.updateApiList(apiListElement));
+        this.ui.append(popupContainer);
+        this.ui.makeDraggable(popupContainer);
     }
 
     /**
-     * Creates a styled input field with a label
-     * @param {string} label - The label for the input
-     * @param {string} placeholder - The placeholder text
-     * @returns {HTMLElement} Input element
+     * Creates a line of the API card: a bold label followed by its value.
+     * @param {string} label - The label
+     * @param {string} value - The value, shown as text
+     * @returns {HTMLElement} The line
      */
-    createStyledInput(label, placeholder) {
-        const container = document.createElement('div');
-        Object.assign(container.style, {
-            display: 'flex',
-            flexDirection: 'column',
-            gap: '5px'
-        });
-        const labelElement = document.createElement('label');
+    createInfoLine(label, value) {
+        const line = document.createElement('div');
+        const labelElement = document.createElement('strong');
         labelElement.textContent = label;
-        Object.assign(labelElement.style, {
-            fontSize: '14px',
-            color: '#ccc'
+        line.appendChild(labelElement);
+        line.appendChild(document.createTextNode(` ${value}`));
+        return line;
+    }
+
+    /**
+     * Creates the message shown in place of an empty list.
+     * @param {string} text - The message
+     * @returns {HTMLElement} The message element
+     */
+    createEmptyMessage(text) {
+        const message = document.createElement('div');
+        message.className = 'empty-message';
+        message.textContent = text;
+        return message;
+    }
+
+    /**
+     * Shows a health check report as a table of labelled values.
+     * @param {HTMLElement} container - The element to fill
+     * @param {Object} report - The report sent by the background worker ({ success, details: [{ label, value }] })
+     */
+    renderHealthReport(container, report) {
+        container.innerHTML = '';
+        const title = document.createElement('strong');
+        title.textContent = report.success ? '✅ API is working' : '❌ API check failed';
+        const table = document.createElement('table');
+        (report.details || []).forEach(({ label, value }) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = value;
         });
-        const input = document.createElement('input');
-        input.placeholder = placeholder;
-        Object.assign(input.style, {
-            padding: '10px',
-            backgroundColor: '#444',
-            color: '#fff',
-            border: '1px solid #555',
-            outline: 'none',
-            borderRadius: '4px',
-            fontSize: '14px',
-            width: '100%',
-            boxSizing: 'border-box'
+        container.appendChild(title);
+        container.appendChild(table);
+    }
+
+    /**
+     * Creates a select listing the translation providers supported by the background worker.
+     * @returns {{field: HTMLElement, select: HTMLSelectElement}} Labelled select, filled once the providers are loaded
+     */
+    createProviderSelect() {
+        const provider = this.ui.createSelect('Provider');
+        provider.select.appendChild(new Option('LibreTranslate', 'libretranslate'));
+        this.ready.then(() => {
+            if (this.providers.length === 0) return;
+            provider.select.innerHTML = '';
+            this.providers.forEach(({ id, name }) => provider.select.appendChild(new Option(name, id)));
         });
-        container.appendChild(labelElement);
-        container.appendChild(input);
-        return input;
-    }
-
-    /**
-     * Creates a styled action button
-     * @param {string} text - Button text
-     * @param {string} color - Background color
-     * @returns {HTMLElement} Button element
-     */
-    createActionButton(text, color) {
-        const button = document.createElement('button');
-        button.textContent = text;
-        Object.assign(button.style, {
-            padding: '8px 12px',
-            backgroundColor: color,
-            color: 'white',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer',
-            fontSize: '14px',
-            fontWeight: 'bold',
-            flex: '1',
-            transition: 'filter 0.2s'
+        return provider;
+    }
+
+    /**
+     * Loads the translation providers supported by the background worker.
+     * @returns {Promise<void>} Resolves once loaded; the list stays empty if the worker cannot be reached
+     */
+    loadProviders() {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage({ action: 'getProviders' }, (response) => {
+                if (!chrome.runtime.lastError && response && response.providers) {
+                    this.providers = response.providers;
+                }
+                resolve();
+            });
         });
-        button.onmouseover = () => {
-            button.style.filter = 'brightness(85%)';
-        };
-        button.onmouseout = () => {
-            button.style.filter = 'brightness(100%)';
-        };
-        return button;
+    }
+
+    /**
+     * Returns the display name of a provider.
+     * @param {string} [id] - The provider identifier; APIs saved without one use LibreTranslate.
+     * @returns {string} The provider name
+     */
+    getProviderName(id) {
+        const provider = this.providers.find(provider => provider.id === (id || 'libretranslate'));
+        return provider ? provider.name : (id || 'LibreTranslate');
     }
 
     /**
@@ -1151,87 +2105,43 @@ class ApiTestPopup {
     }
 
     /**
-     * Loads API list and test history from localStorage
+     * Moves an API one position up or down in the failover order
+     * @param {number} index - Current position of the API
+     * @param {number} offset - -1 to move it up, 1 to move it down
+     * @param {HTMLElement} listElement - The element displaying the API list
      */
-    loadFromCache() {
-        try {
-            const cachedApis = localStorage.getItem('apiTestList');
-            if (cachedApis) {
-                this.apiList = JSON.parse(cachedApis);
-            }
-            const cachedHistory = localStorage.getItem('apiTestHistory');
-            if (cachedHistory) {
-                this.testHistory = JSON.parse(cachedHistory);
-            }
-        } catch (error) {
-            this.apiList = [];
-            this.testHistory = [];
-        }
+    moveApi(index, offset, listElement) {
+        const newIndex = index + offset;
+        if (newIndex < 0 || newIndex >= this.apiList.length) return;
+        [this.apiList[index], this.apiList[newIndex]] = [this.apiList[newIndex], this.apiList[index]];
+        this.saveToCache();
+        this.updateApiList(listElement);
     }
 
     /**
-     * Saves API list and test history to localStorage
+     * Loads API list and test history from chrome.storage.local, where the background worker reads the
+     * failover pool. Lists in the page's localStorage are never read: any site can write there.
+     * @returns {Promise<void>} Resolves once the data is loaded
      */
-    saveToCache() {
-        try {
-            localStorage.setItem('apiTestList', JSON.stringify(this.apiList));
-            localStorage.setItem('apiTestHistory', JSON.stringify(this.testHistory));
-        } catch (error) {
-            console.error('Error saving to cache:', error);
-        }
+    loadFromCache() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get(['apiList', 'apiTestHistory'], (result) => {
+                this.apiList = result.apiList || [];
+                this.testHistory = result.apiTestHistory || [];
+                resolve();
+            });
+        });
     }
 
     /**
-     * Enables dragging for a popup, constraining it within viewport margins.
-     * @param {HTMLElement} popup - The popup element to make draggable.
-     * @param {HTMLElement} closeButton - The close button to exclude from dragging.
+     * Saves API list and test history to chrome.storage.local
      */
-    enableDragging(popup, closeButton) {
-        let isDragging = false;
-        let currentX = 0;
-        let currentY = 0;
-        let initialX;
-        let initialY;
-
-        popup.addEventListener('mousedown', (e) => {
-            // Prevent dragging if clicking on close button, input, button, or select elements
-            if (e.target === closeButton || closeButton.contains(e.target) ||
-                e.target.tagName === 'INPUT' || e.target.tagName === 'BUTTON' ||
-                e.target.tagName === 'SELECT' || e.target.closest('button') ||
-                e.target.closest('input') || e.target.closest('select')) {
-                return;
-            }
-            initialX = e.clientX - currentX;
-            initialY = e.clientY - currentY;
-            isDragging = true;
-            e.preventDefault();
-        });
-
-        document.addEventListener('mousemove', (e) => {
-            if (isDragging) {
-                e.preventDefault();
-                currentX = e.clientX - initialX;
-                currentY = e.clientY - initialY;
-
-                const popupRect = popup.getBoundingClientRect();
-                const margin = 10;
-                const maxX = window.innerWidth - popupRect.width - margin;
-                const maxY = window.innerHeight - popupRect.height - margin;
-                const minX = margin;
-                const minY = margin;
-
-                currentX = Math.max(minX, Math.min(currentX, maxX));
-                currentY = Math.max(minY, Math.min(currentY, maxY));
-
-                popup.style.left = `${currentX}px`;
-                popup.style.top = `${currentY}px`;
-                popup.style.transform = 'none';
+    saveToCache() {
+        chrome.storage.local.set({ apiList: this.apiList, apiTestHistory: this.testHistory }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving to cache:', chrome.runtime.lastError.message);
             }
         });
-
-        document.addEventListener('mouseup', () => {
-            isDragging = false;
-        });
     }
 }
 
@@ -0,0 +1,26 @@
+/**
+ * Keyboard shortcut helpers shared by the content script and the settings popup, so a combination recorded in
+ * the settings is described exactly the way the page matches it.
+ */
+
+/**
+ * Describes a key press as a combination such as "Ctrl+Shift+Y". Letters and digits are read from the
+ * physical key, so Alt combinations work on layouts where Alt changes the character.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @returns {string} The combination, or an empty string for modifier keys and keys pressed without Ctrl, Alt or Meta.
+ */
+function getShortcutFromEvent(event) {
+    if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph'].includes(event.key)) return '';
+    if (!event.ctrlKey && !event.altKey && !event.metaKey) return '';
+    let key = event.key.length === 1 ? event.key.toUpperCase() : event.key;
+    if (/^Key[A-Z]$/.test(event.code)) {
+        key = event.code.slice(3);
+    } else if (/^Digit[0-9]$/.test(event.code)) {
+        key = event.code.slice(5);
+    } else if (event.code === 'Space') {
+        key = 'Space';
+    }
+    return [event.ctrlKey && 'Ctrl', event.altKey && 'Alt', event.shiftKey && 'Shift', event.metaKey && 'Meta', key]
+        .filter(Boolean)
+        .join('+');
+}
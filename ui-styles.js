@@ -0,0 +1,548 @@
+/**
+ * Styles of the elements the content script injects into pages, adopted by the plugin's closed shadow root (see
+ * ui.js). They ship inside the content script instead of as a web-accessible file, which any page could fetch to
+ * detect the extension.
+ */
+const PLUGIN_UI_STYLES = `
+:host > * {
+    font-family: Arial, sans-serif;
+    font-size: 14px;
+    line-height: 1.4;
+    color: #fff;
+    text-align: left;
+}
+
+*, *::before, *::after {
+    box-sizing: border-box;
+}
+
+button, input, select {
+    font: inherit;
+    margin: 0;
+}
+
+button:disabled {
+    opacity: 0.5;
+    cursor: default;
+}
+
+[hidden] {
+    display: none !important;
+}
+
+/* Panel */
+
+.panel {
+    position: fixed;
+    background-color: rgba(0, 0, 0, 0.8);
+    color: #fff;
+    border-radius: 8px;
+    box-shadow: 0 4px 8px rgba(0, 0, 0, 0.3);
+    z-index: 1;
+}
+
+.panel.draggable {
+    cursor: move;
+}
+
+.close-btn {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    width: 24px;
+    height: 24px;
+    padding: 0;
+    background: transparent;
+    color: inherit;
+    border: none;
+    border-radius: 50%;
+    font-size: 22px;
+    font-weight: bold;
+    line-height: 1;
+    cursor: pointer;
+}
+
+.close-btn:hover {
+    background-color: rgba(255, 255, 255, 0.2);
+}
+
+/* Button */
+
+.btn {
+    padding: 8px 12px;
+    color: #fff;
+    border: none;
+    border-radius: 4px;
+    font-size: 14px;
+    font-weight: bold;
+    cursor: pointer;
+    transition: filter 0.2s;
+}
+
+.btn:hover:not(:disabled) {
+    filter: brightness(85%);
+}
+
+.btn-primary {
+    background-color: #4c9aff;
+}
+
+.btn-success {
+    background-color: #28a745;
+}
+
+.btn-danger {
+    background-color: #dc3545;
+}
+
+.btn-secondary {
+    background-color: #6c757d;
+}
+
+.btn-outline {
+    padding: 3px 8px;
+    background-color: transparent;
+    border: 1px solid rgba(255, 255, 255, 0.4);
+    border-radius: 5px;
+    font-size: 12px;
+    font-weight: normal;
+}
+
+.btn-outline:hover:not(:disabled) {
+    filter: none;
+    background-color: rgba(255, 255, 255, 0.15);
+}
+
+.btn-light {
+    padding: 5px 10px;
+    background-color: #fff;
+    color: #333;
+    border-radius: 3px;
+    font-weight: normal;
+}
+
+/* Input */
+
+.field {
+    display: flex;
+    flex-direction: column;
+    gap: 5px;
+    font-size: 14px;
+    color: #ccc;
+}
+
+.input {
+    width: 100%;
+    padding: 10px;
+    background-color: #444;
+    color: #fff;
+    border: 1px solid #555;
+    border-radius: 4px;
+    outline: none;
+    font-size: 14px;
+}
+
+.input:focus {
+    border-color: #4c9aff;
+}
+
+/* Tabs */
+
+.tab-list {
+    display: flex;
+    border-bottom: 1px solid #444;
+    margin-bottom: 15px;
+}
+
+.tab {
+    padding: 10px 15px;
+    background: transparent;
+    color: #ccc;
+    border: none;
+    border-bottom: 2px solid transparent;
+    cursor: pointer;
+    transition: all 0.2s;
+}
+
+.tab.active {
+    color: #4c9aff;
+    border-bottom-color: #4c9aff;
+}
+
+/* Toast */
+
+.toast-container {
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    display: flex;
+    flex-direction: column;
+    z-index: 2;
+}
+
+.toast {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    gap: 10px;
+    padding: 10px;
+    color: #fff;
+    text-align: center;
+}
+
+.toast-info {
+    background-color: #333;
+}
+
+.toast-success {
+    background-color: #28a745;
+}
+
+.toast-error {
+    background-color: #ff0000;
+}
+
+.toast-success .btn-light {
+    color: #28a745;
+}
+
+.toast-error .btn-light {
+    color: #ff0000;
+}
+
+/* Translation popup */
+
+.translation-popup {
+    left: 0;
+    top: 0;
+    min-width: 250px;
+    max-width: 40%;
+    max-height: 90vh;
+    padding: 20px;
+    overflow: auto;
+    resize: both;
+}
+
+.popup-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 5px;
+    margin-bottom: 10px;
+}
+
+.source-language-selector, .language-selector {
+    flex: 1;
+    min-width: 0;
+    padding: 5px;
+    background: #f5f5f5;
+    color: #333;
+    border: 1px solid #ccc;
+    border-radius: 5px;
+}
+
+.swap-btn {
+    padding: 3px 6px;
+    background-color: transparent;
+    color: #fff;
+    border: 1px solid rgba(255, 255, 255, 0.4);
+    border-radius: 5px;
+    font-size: 14px;
+    cursor: pointer;
+}
+
+.translation-text {
+    margin: 0;
+    font-size: 16px;
+    line-height: 1.5;
+    word-break: break-word;
+    white-space: pre-wrap;
+    outline: none;
+    cursor: text;
+}
+
+.translation-popup[data-format="html"] .translation-text {
+    white-space: normal;
+}
+
+.translation-text a {
+    color: #8ab4f8;
+}
+
+.alternatives {
+    list-style: none;
+    margin: 8px 0 0;
+    padding: 0;
+    font-size: 14px;
+    color: #ddd;
+}
+
+.alternatives li {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 4px 0;
+    border-top: 1px solid rgba(255, 255, 255, 0.15);
+}
+
+.alternative-text {
+    flex: 1;
+    word-break: break-word;
+    cursor: pointer;
+}
+
+.alternatives .btn-outline {
+    padding: 2px 6px;
+    color: #ccc;
+    border-radius: 4px;
+    font-size: 11px;
+}
+
+.popup-actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 6px;
+    margin-top: 8px;
+}
+
+.detected-language {
+    margin-top: 8px;
+    font-size: 12px;
+    color: #ccc;
+}
+
+.endpoint-info {
+    margin-top: 8px;
+    font-size: 11px;
+    color: #aaa;
+    text-align: right;
+}
+
+.btn-bubble {
+    position: fixed;
+    padding: 3px 10px;
+    background-color: rgba(0, 0, 0, 0.8);
+    border-radius: 12px;
+    font-size: 12px;
+    font-weight: normal;
+    box-shadow: 0 2px 4px rgba(0, 0, 0, 0.3);
+}
+
+/* Rate limit and error popup */
+
+.rate-limit-popup {
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    width: 350px;
+    min-height: 150px;
+    padding: 15px;
+    border: 1px solid #fff;
+    border-radius: 5px;
+    box-shadow: none;
+}
+
+.rate-limit-popup.error {
+    border-color: #ff4444;
+}
+
+.rate-limit-popup .close-btn {
+    position: absolute;
+    top: 5px;
+    right: 10px;
+}
+
+.rate-limit-message {
+    margin-top: 10px;
+    word-wrap: break-word;
+}
+
+.rate-limit-info {
+    margin-top: 10px;
+}
+
+/* Page translation toolbar */
+
+.page-translation-toolbar {
+    right: 20px;
+    bottom: 20px;
+    width: 280px;
+    padding: 12px;
+    background-color: rgba(0, 0, 0, 0.85);
+}
+
+.toolbar-progress {
+    height: 6px;
+    margin: 8px 0;
+    background-color: #444;
+    border-radius: 3px;
+    overflow: hidden;
+}
+
+.toolbar-progress-bar {
+    width: 0;
+    height: 100%;
+    background-color: #4c9aff;
+    transition: width 0.3s;
+}
+
+.toolbar-buttons {
+    display: flex;
+    gap: 6px;
+}
+
+.toolbar-buttons .btn {
+    flex: 1;
+    padding: 6px;
+    font-size: 12px;
+    font-weight: normal;
+}
+
+/* API Test Manager */
+
+.api-test-popup {
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    display: flex;
+    flex-direction: column;
+    gap: 15px;
+    width: 500px;
+    max-height: 80vh;
+    padding: 25px;
+    overflow-y: auto;
+    background-color: #2d2d2d;
+    border-radius: 12px;
+    box-shadow: 0 8px 20px rgba(0, 0, 0, 0.5);
+}
+
+.api-test-popup > .close-btn {
+    position: absolute;
+    top: 15px;
+    right: 15px;
+    color: #aaa;
+    font-size: 18px;
+}
+
+.api-test-popup > .close-btn:hover {
+    color: #fff;
+    background-color: rgba(255, 255, 255, 0.1);
+}
+
+.api-test-popup h2 {
+    margin: 0 0 10px;
+    text-align: center;
+    font-size: 24px;
+    font-weight: bold;
+}
+
+.api-test-popup h3 {
+    margin: 0;
+    font-size: 16px;
+    font-weight: normal;
+    color: #eee;
+}
+
+.api-form, .api-card {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    padding: 15px;
+    background-color: #3a3a3a;
+    border-radius: 8px;
+}
+
+.api-form {
+    margin-bottom: 15px;
+}
+
+.pool-note {
+    margin-bottom: 10px;
+    font-size: 13px;
+    color: #aaa;
+}
+
+.api-list, .test-history-list {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+}
+
+.api-info {
+    display: flex;
+    flex-direction: column;
+    gap: 5px;
+    word-break: break-all;
+}
+
+.api-card-buttons {
+    display: flex;
+    gap: 10px;
+    margin-top: 5px;
+}
+
+.api-card-buttons .btn {
+    flex: 1;
+}
+
+.empty-message {
+    padding: 20px;
+    text-align: center;
+    color: #aaa;
+}
+
+.test-result {
+    margin-top: 10px;
+    padding: 10px;
+    border-radius: 4px;
+    background-color: #444;
+}
+
+.test-result.success, .test-history-entry.success {
+    background-color: #1e462a;
+}
+
+.test-result.failure, .test-history-entry.failure {
+    background-color: #4e2828;
+}
+
+.test-result table {
+    width: 100%;
+    margin-top: 8px;
+    font-size: 13px;
+    border-collapse: collapse;
+}
+
+.test-result td {
+    padding: 2px 0;
+    word-break: break-word;
+}
+
+.test-result td:first-child {
+    padding-right: 10px;
+    color: #ccc;
+    vertical-align: top;
+    white-space: nowrap;
+}
+
+.test-history .btn-secondary {
+    display: block;
+    margin: 0 0 10px auto;
+}
+
+.test-history-entry {
+    padding: 12px;
+    border-radius: 6px;
+}
+
+.test-history-message {
+    margin-top: 5px;
+}
+
+.test-history-time {
+    margin-top: 8px;
+    font-size: 12px;
+    color: #aaa;
+}
+`;
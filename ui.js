@@ -0,0 +1,270 @@
+/**
+ * PluginUi hosts every element the content script injects into pages, inside a closed shadow root styled by
+ * PLUGIN_UI_STYLES (ui-styles.js), so the page's CSS cannot reach them. It also builds the components they share: panels, buttons,
+ * inputs, tabs and toasts.
+ */
+class PluginUi {
+    /**
+     * Initializes the UI layer; the host element is attached to the page on first use.
+     */
+    constructor() {
+        this.host = null; // Element attached to the page that carries the shadow root
+        this.root = null; // The closed shadow root holding the plugin's elements
+        this.toastContainer = null; // Stack of toasts at the top of the window
+    }
+
+    /**
+     * Attaches the host element to the page, creating it and its shadow root the first time.
+     * Pages that replace their document element drop the host, so it is attached again when needed.
+     * @returns {ShadowRoot} The shadow root.
+     */
+    getRoot() {
+        if (!this.host) {
+            this.host = document.createElement('bpt-pro-ui');
+            // Page styles can still target the host element itself, hence the important declarations
+            this.host.setAttribute('style', 'all: initial !important; position: fixed !important; top: 0 !important; '
+                + 'left: 0 !important; z-index: 2147483647 !important;');
+            this.root = this.host.attachShadow({ mode: 'closed' });
+            // An adopted stylesheet applies at once and, unlike a <style> element, is not subject to the page's CSP
+            const stylesheet = new CSSStyleSheet();
+            stylesheet.replaceSync(PLUGIN_UI_STYLES);
+            this.root.adoptedStyleSheets = [stylesheet];
+        }
+        if (!this.host.isConnected) {
+            document.documentElement.appendChild(this.host);
+        }
+        return this.root;
+    }
+
+    /**
+     * Adds an element to the shadow root.
+     * @param {HTMLElement} element - The element to show.
+     * @returns {HTMLElement} The element.
+     */
+    append(element) {
+        this.getRoot().appendChild(element);
+        return element;
+    }
+
+    /**
+     * Checks whether a page event came from the plugin's UI. Events leaving the closed shadow root are
+     * retargeted to the host element.
+     * @param {EventTarget} target - The event target seen by the page.
+     * @returns {boolean} True if the target is the plugin's UI.
+     */
+    contains(target) {
+        return !!this.host && target === this.host;
+    }
+
+    /**
+     * Creates a floating panel.
+     * @param {string} className - Class naming the kind of panel, such as 'translation-popup'.
+     * @returns {HTMLElement} The panel.
+     */
+    createPanel(className) {
+        const panel = document.createElement('div');
+        panel.className = `panel ${className}`;
+        return panel;
+    }
+
+    /**
+     * Creates the × button that closes a panel.
+     * @param {Function} onClose - Called when the button is clicked.
+     * @returns {HTMLButtonElement} The button.
+     */
+    createCloseButton(onClose) {
+        const button = document.createElement('button');
+        button.className = 'close-btn';
+        button.textContent = '×';
+        button.title = 'Close';
+        button.addEventListener('click', onClose);
+        return button;
+    }
+
+    /**
+     * Creates a button.
+     * @param {string} text - The button text.
+     * @param {string} [variant='primary'] - 'primary', 'success', 'danger', 'secondary', 'outline', 'light' or 'bubble'.
+     * @param {string} [title=''] - The tooltip.
+     * @returns {HTMLButtonElement} The button.
+     */
+    createButton(text, variant = 'primary', title = '') {
+        const button = document.createElement('button');
+        button.className = `btn btn-${variant}`;
+        button.textContent = text;
+        if (title) button.title = title;
+        return button;
+    }
+
+    /**
+     * Creates a labelled input.
+     * @param {string} label - The label shown above the input.
+     * @param {string} [placeholder=''] - The placeholder text.
+     * @param {string} [type='text'] - The input type.
+     * @returns {{field: HTMLElement, input: HTMLInputElement}} The field to insert, and its input.
+     */
+    createInput(label, placeholder = '', type = 'text') {
+        const input = document.createElement('input');
+        input.className = 'input';
+        input.type = type;
+        input.placeholder = placeholder;
+        return { field: this.createField(label, input), input };
+    }
+
+    /**
+     * Creates a labelled select.
+     * @param {string} label - The label shown above the select.
+     * @returns {{field: HTMLElement, select: HTMLSelectElement}} The field to insert, and its select.
+     */
+    createSelect(label) {
+        const select = document.createElement('select');
+        select.className = 'input';
+        return { field: this.createField(label, select), select };
+    }
+
+    /**
+     * Wraps a control with its label.
+     * @param {string} label - The label text.
+     * @param {HTMLElement} control - The input or select.
+     * @returns {HTMLElement} The field.
+     */
+    createField(label, control) {
+        const field = document.createElement('label');
+        field.className = 'field';
+        const labelText = document.createElement('span');
+        labelText.textContent = label;
+        field.appendChild(labelText);
+        field.appendChild(control);
+        return field;
+    }
+
+    /**
+     * Creates tabs switching between content elements.
+     * @param {Array<{name: string, content: HTMLElement, onShow?: Function}>} tabs - The tabs, the first one shown.
+     * @returns {HTMLElement} The tab bar followed by the contents.
+     */
+    createTabs(tabs) {
+        const container = document.createElement('div');
+        container.className = 'tabs';
+        const tabList = document.createElement('div');
+        tabList.className = 'tab-list';
+        container.appendChild(tabList);
+        const buttons = tabs.map(({ name, content }, index) => {
+            const button = document.createElement('button');
+            button.className = 'tab';
+            button.textContent = name;
+            button.addEventListener('click', () => show(index));
+            tabList.appendChild(button);
+            content.classList.add('tab-content');
+            container.appendChild(content);
+            return button;
+        });
+        const show = (selectedIndex) => {
+            tabs.forEach(({ content, onShow }, index) => {
+                buttons[index].classList.toggle('active', index === selectedIndex);
+                content.hidden = index !== selectedIndex;
+                if (index === selectedIndex && onShow) onShow();
+            });
+        };
+        show(0);
+        return container;
+    }
+
+    /**
+     * Shows a notification at the top of the window, removed after a while or with its × button.
+     * @param {string} message - The message to show.
+     * @param {Object} [options] - Toast options.
+     * @param {string} [options.type='info'] - 'info', 'success' or 'error'.
+     * @param {Array<{label: string, onClick: Function}>} [options.actions=[]] - Buttons shown after the message.
+     * @param {number} [options.duration=5000] - Milliseconds before the toast is removed.
+     * @returns {HTMLElement} The toast.
+     */
+    showToast(message, { type = 'info', actions = [], duration = 5000 } = {}) {
+        if (!this.toastContainer) {
+            this.toastContainer = document.createElement('div');
+            this.toastContainer.className = 'toast-container';
+        }
+        if (!this.toastContainer.isConnected) {
+            this.append(this.toastContainer);
+        }
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
+        actions.forEach(({ label, onClick }) => {
+            const button = this.createButton(label, 'light');
+            button.addEventListener('click', onClick);
+            toast.appendChild(button);
+        });
+        toast.appendChild(this.createCloseButton(() => toast.remove()));
+        this.toastContainer.appendChild(toast);
+        setTimeout(() => toast.remove(), duration);
+        return toast;
+    }
+
+    /**
+     * Checks whether a mouse event is on the resize grip in the bottom right corner of a resizable element.
+     * @param {HTMLElement} element - The element.
+     * @param {MouseEvent} event - The mouse event.
+     * @returns {boolean} True if the event is on the grip.
+     */
+    isOnResizeGrip(element, event) {
+        if (getComputedStyle(element).resize !== 'both') return false;
+        const rect = element.getBoundingClientRect();
+        return event.clientX >= rect.right - 16 && event.clientY >= rect.bottom - 16;
+    }
+
+    /**
+     * Lets a panel be dragged by any part that is not a control, keeping it inside the window.
+     * The document is only listened to while a drag is in progress.
+     * @param {HTMLElement} panel - The panel to make draggable.
+     * @param {Function} [onDragEnd] - Called with the panel's left and top position after it was moved.
+     */
+    makeDraggable(panel, onDragEnd) {
+        let hasMoved = false;
+        let offsetX = 0;
+        let offsetY = 0;
+        let currentX = 0;
+        let currentY = 0;
+        panel.classList.add('draggable');
+
+        const onMouseMove = (e) => {
+            e.preventDefault();
+            const rect = panel.getBoundingClientRect();
+            const margin = 10;
+            currentX = Math.max(margin, Math.min(e.clientX - offsetX, window.innerWidth - rect.width - margin));
+            currentY = Math.max(margin, Math.min(e.clientY - offsetY, window.innerHeight - rect.height - margin));
+            Object.assign(panel.style, {
+                left: `${currentX}px`,
+                top: `${currentY}px`,
+                transform: 'none'
+            });
+            hasMoved = true;
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+            if (hasMoved && onDragEnd) {
+                onDragEnd(Math.round(currentX), Math.round(currentY));
+            }
+        };
+
+        panel.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || e.target.closest('button, input, select, textarea, a, [contenteditable]')
+                || this.isOnResizeGrip(panel, e)) {
+                return;
+            }
+            // Start from where the panel is, which may be centered with a transform
+            const rect = panel.getBoundingClientRect();
+            offsetX = e.clientX - rect.left;
+            offsetY = e.clientY - rect.top;
+            hasMoved = false;
+            e.preventDefault();
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+        });
+    }
+}